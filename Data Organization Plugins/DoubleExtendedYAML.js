@@ -142,6 +142,72 @@
  * If a parameter is defined in both the message and macro,
  * the message will take priority.
  * 
+ * extends: string ~ CHARACTER
+ * Only in macros. The macro starts from the parameters of the macro it extends,
+ * which can extend another one, and so on. A macro extending itself (even through
+ * others) stops the chain there and logs an error.
+ * 
+ * variants: array
+ * Only in macros. Each variant has parameters used only while its conditions are met:
+ *   switch: integer ~ 12 - the switch is ON.
+ *   variable: integer ~ 22 with value: any ~ 2 and op: string ~ >= (==, !=, >, >=, <, <=; == by default)
+ *   condition: js ~ $gameParty.leader().actorId() === 1
+ *   language: string ~ en - the game's language.
+ * A variant with several conditions needs all of them. Example:
+ * MAKOTO_FA:
+ *    extends: MAKOTO
+ *    variants:
+ *      - variable: 22
+ *        value: 2
+ *        faceset: Makoto_Faraway
+ *      - switch: 12
+ *        windowskin: Window_Makoto_Dream
+ * 
+ * Merge order, later ones taking priority:
+ * 1. The furthest base macro, then its variants.
+ * 2. Every macro down the extends chain, each followed by its variants.
+ * 3. The macro in macro:, then its variants.
+ * 4. The message.
+ * Variants of the same macro apply in the order they are listed.
+ * 
+ * =========== DIALOGUE TREES ===========
+ * 
+ * Whole conversations can be written in YAML and played with the plugin command
+ * DialogueTree file.message_id
+ * Every message is shown like a normal one, then the tree follows these keys:
+ * 
+ * next: string OR array ~ message_2
+ * The message shown after this one. An ID without a file is in the same file.
+ * With a list, the first entry whose conditions are met is used, the conditions
+ * being the same as macro variants with the message in to:
+ * next:
+ *   - switch: 12
+ *     to: message_dream
+ *   - message_awake
+ * 
+ * choices: array
+ * The choices shown with this message, each with a label and the message it goes to.
+ * A choice with conditions (like variants) only shows up while they are met.
+ * A choice without to: ends the conversation.
+ * choices:
+ *   - label: "Yes"
+ *     to: message_yes
+ *     switches: {15: true}
+ *   - label: Only with 100 clams
+ *     condition: $gameParty.gold() >= 100
+ *     to: XX_SHOP.message_buy
+ *   - label: "No"
+ * 
+ * cancel: integer ~ 1
+ * The choice picked when cancelling, counted from 0 in choices: including the hidden ones.
+ * Without it, or while that choice is hidden, the choices can't be cancelled.
+ * 
+ * switches: {id: boolean} ~ {15: true, 16: false}
+ * variables: {id: integer OR string} ~ {30: 5, 31: "+1"}
+ * Set when the message shows, or when the choice is picked. "+N" and "-N" add to the variable.
+ * 
+ * The conversation ends at a message without next: or choices:.
+ * 
  * =========== HAIKU ===========
  * 
  * haiku: boolean ~ false
@@ -221,6 +287,17 @@
  * - Use the script Galv.mpup.clear(); to remove all captions on-screen.
  * - The game uses drawText() rather than drawTextEx() for those who know which textcodes are attached to which.
  * 
+ * =========== VALIDATION ===========
+ * 
+ * In playtest every message is checked on boot for keys this plugin doesn't know
+ * (like textvolme), values of the wrong type (like arrows: "false" or textvolume: loud)
+ * and macros that don't exist. Each problem is listed with its file, message ID and key.
+ * A message is any entry with a text or macro key, and every entry of the Macro Yaml.
+ * The Yaml Validation parameter sets if problems are only logged in the console (warn)
+ * or shown as an error on boot (error).
+ * Other plugins can add their keys with WN.DExtYAML.schema.mykey = "number" (see below).
+ * If a YAML fails to load, DGT_YamlErrorDisambiguator's error is left alone.
+ * 
  * Other Notes:
  * - Theoretically Geo's Restored Group Facesets should work
  * - The console will spit an error at you on boot about Window_GalvCaption not being defined. It doesn't actually cause any problems and can be ignored.
@@ -232,6 +309,15 @@
  * @desc The name of the yaml that contains all Macros
  * @default macro
  * 
+ * @param yamlvalidation
+ * @text Yaml Validation
+ * @desc What to do with problems found in messages on boot in playtest. off, warn (console) or error (error screen).
+ * @type select
+ * @option off
+ * @option warn
+ * @option error
+ * @default warn
+ * 
  * @param bannedscenes
  * @text Banned Scenes
  * @desc The name of every scene that bans the changing of windowskins. Basically just add the scenes that crash the game.
@@ -407,7 +493,7 @@ Imported.DoubleExtenedYAML = true;
 (function() {
 
 // Defining shit
-var WN = WN || {};
+var WN = window.WN = window.WN || {};
 var TR = TR || {};
 WN.DExtYAML = WN.DExtYAML || {};
 
@@ -417,6 +503,9 @@ WN.DExtYAML.Param = PluginManager.parameters('DoubleExtendedYAML');
 // Macros
 WN.DExtYAML.marcoyaml = WN.DExtYAML.Param["macroyaml"]
 
+// Validation
+WN.DExtYAML.yamlvalidation = WN.DExtYAML.Param["yamlvalidation"] || "warn"
+
 // BannedScenes
 WN.DExtYAML.bannedScenes = JSON.parse(WN.DExtYAML.Param["bannedscenes"])
 
@@ -501,7 +590,7 @@ Game_Message.prototype.showLanguageMessage = function(code) {
 
   // ALL THE DATA FILES
   var data = LanguageManager.getMessageData(code);
-  var macro = data.macro ? LanguageManager.getMessageData(`${WN.DExtYAML.marcoyaml}.${data.macro}`) : {}
+  var macro = data.macro ? WN.DExtYAML.resolveMacro(data.macro) : {}
   var base = WN.DExtYAML
   
   // GENERAL INFO
@@ -708,6 +797,244 @@ Game_Message.prototype.showLanguageMessage = function(code) {
   };
 };
 
+// MACROS
+WN.DExtYAML.macroKeys = { extends: "string", variants: "array" }
+WN.DExtYAML.conditionKeys = { switch: "number", variable: "number", value: "any", op: ["==", "!=", ">", ">=", "<", "<="], condition: "string", language: "string" }
+
+WN.DExtYAML.macroData = function(name) {
+  var macros = LanguageManager.languageData().text[WN.DExtYAML.marcoyaml] || {}
+  return macros[name]
+}
+
+/**
+ * The names of a macro and every macro it extends, furthest base first.
+ * @param {string} name The macro name.
+ * @return {Object} { chain, missing, cycle } where missing or cycle is the name that stopped the chain.
+ */
+WN.DExtYAML.macroChain = function(name) {
+  var chain = []
+  while (name !== undefined && name !== null) {
+    if (chain.includes(name)) return { chain: chain.reverse(), cycle: name }
+    if (!WN.DExtYAML.macroData(name)) return { chain: chain.reverse(), missing: name }
+    chain.push(name)
+    name = WN.DExtYAML.macroData(name).extends
+  }
+  return { chain: chain.reverse() }
+}
+
+// The conditions of macro variants, dialogue choices and next: entries. All of them have to be met.
+WN.DExtYAML.isConditionMet = function(conditions) {
+  if (conditions.language !== undefined && conditions.language !== LanguageManager._language) return false
+  if (conditions.switch !== undefined && !$gameSwitches.value(Number(conditions.switch))) return false
+  if (conditions.variable !== undefined) {
+    var current = $gameVariables.value(Number(conditions.variable))
+    var value = isNaN(conditions.value) ? conditions.value : Number(conditions.value)
+    switch (conditions.op || "==") {
+      case "!=": if (current == value) return false; break;
+      case ">": if (!(current > value)) return false; break;
+      case ">=": if (!(current >= value)) return false; break;
+      case "<": if (!(current < value)) return false; break;
+      case "<=": if (!(current <= value)) return false; break;
+      default: if (current != value) return false;
+    }
+  }
+  if (conditions.condition !== undefined && !eval(conditions.condition)) return false
+  return true
+}
+
+/**
+ * Merges a macro with the macros it extends and its active variants.
+ * @param {string} name The macro name.
+ * @return {Object} The parameters of the macro.
+ */
+WN.DExtYAML.resolveMacro = function(name) {
+  var result = WN.DExtYAML.macroChain(name)
+  if (result.cycle) console.error(`[DoubleExtendedYAML] Macro ${result.cycle} extends itself, the chain of ${name} stops there.`)
+  if (result.missing) console.error(`[DoubleExtendedYAML] Macro ${result.missing} doesn't exist, the chain of ${name} stops there.`)
+  var merged = {}
+  var apply = function(params, skip) {
+    for (var key in params) {
+      if (!skip.hasOwnProperty(key)) merged[key] = params[key]
+    }
+  }
+  result.chain.forEach(function(macroName) {
+    var macro = WN.DExtYAML.macroData(macroName)
+    apply(macro, WN.DExtYAML.macroKeys)
+    ;(macro.variants || []).forEach(function(variant) {
+      if (variant && typeof variant === "object" && WN.DExtYAML.isConditionMet(variant)) apply(variant, WN.DExtYAML.conditionKeys)
+    })
+  })
+  return merged
+}
+
+// VALIDATION
+// Types are "string", "number", "boolean", "array", "null" (the string "null") or "any", joined with |.
+// An array lists every accepted value instead.
+WN.DExtYAML.schema = {
+  text: "string|number", type: ["window", "battle", "caption", "popup"], name: "string|number", macro: "string",
+  faceset: "string", faceindex: "number|array", background: [0, 1, 2], facebackgroundcolor: "string", faceBackgroundColor: "string",
+  positionType: [0, 1, 2], position: [0, 1, 2], extraFaces: "array",
+  textsound: "string", textvolume: "number", textpitch: "number", textpitchvar: "number",
+  textpan: "number", textpanvar: "number", textinterval: "number",
+  sound: "string", volume: "number", pitch: "number", pan: "number",
+  msound: "string", mvolume: "number", mpitch: "number", mpan: "number",
+  showmoney: "boolean", arrows: "boolean", haiku: "boolean", cursedwoody: "boolean", mirror: "boolean",
+  windowskin: "string", openexec: "string", endexec: "string",
+  windowx: "number|null", windowy: "number|null", windowwidth: "number|null", windowheight: "number|null", windowquickname: "boolean",
+  target: "string|number", time: "number", delay: "number",
+  next: "string|array", choices: "array", cancel: "number", switches: "object", variables: "object"
+}
+
+WN.DExtYAML.schemaTypes = {
+  string: function(value) { return typeof value === "string" },
+  // YAML can quote numbers, Number() still reads them
+  number: function(value) { return typeof value === "number" || (typeof value === "string" && value.trim() !== "" && !isNaN(value)) },
+  boolean: function(value) { return typeof value === "boolean" },
+  array: function(value) { return Array.isArray(value) },
+  object: function(value) { return !!value && typeof value === "object" && !Array.isArray(value) },
+  null: function(value) { return String(value) === "null" },
+  any: function(value) { return true }
+}
+
+// Keys from the help that are never read
+WN.DExtYAML.schemaHints = { svolume: "volume", spitch: "pitch", span: "pan" }
+
+WN.DExtYAML.isYamlMessage = function(entry) {
+  return !!entry && typeof entry === "object" && !Array.isArray(entry) && (entry.text !== undefined || entry.macro !== undefined)
+}
+
+// Closest known key, for typos
+WN.DExtYAML.suggestKey = function(key) {
+  if (WN.DExtYAML.schemaHints[key]) return WN.DExtYAML.schemaHints[key]
+  var distance = function(a, b) {
+    var row = Array.from({ length: b.length + 1 }, function(_, i) { return i })
+    for (var i = 1; i <= a.length; i++) {
+      var previous = row[0]
+      row[0] = i
+      for (var j = 1; j <= b.length; j++) {
+        var current = row[j]
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1))
+        previous = current
+      }
+    }
+    return row[b.length]
+  }
+  var best = null
+  var bestDistance = 3
+  for (var known in WN.DExtYAML.schema) {
+    var d = distance(key.toLowerCase(), known.toLowerCase())
+    if (d < bestDistance) {
+      best = known
+      bestDistance = d
+    }
+  }
+  return best
+}
+
+WN.DExtYAML.validateYamlValue = function(value, rule) {
+  if (Array.isArray(rule)) {
+    return rule.some(function(allowed) { return allowed === value || String(allowed) === String(value) })
+  }
+  return rule.split("|").some(function(type) { return WN.DExtYAML.schemaTypes[type](value) })
+}
+
+/**
+ * Checks every loaded message against WN.DExtYAML.schema.
+ * @return {Array} The problems, as { file, id, key, problem }.
+ */
+WN.DExtYAML.validateMessages = function() {
+  var files = LanguageManager.languageData().text
+  var macros = files[WN.DExtYAML.marcoyaml] || {}
+  var problems = []
+  for (var file in files) {
+    var entries = files[file]
+    if (!entries || typeof entries !== "object") continue
+    for (var id in entries) {
+      var entry = entries[id]
+      var isMacro = file === WN.DExtYAML.marcoyaml
+      if (!(isMacro && entry && typeof entry === "object") && !WN.DExtYAML.isYamlMessage(entry)) continue
+      var push = function(key, problem) { problems.push({ file: file, id: id, key: key, problem: problem }) }
+      WN.DExtYAML.checkYamlKeys(entry, isMacro ? WN.DExtYAML.macroKeys : {}, push)
+      if (typeof entry.macro === "string" && !macros[entry.macro]) {
+        push("macro", `no macro ${entry.macro} in ${WN.DExtYAML.marcoyaml}.yaml`)
+      }
+      WN.DExtYAML.checkDialogue(file, entry, push)
+      if (!isMacro) continue
+      if (Array.isArray(entry.variants)) {
+        entry.variants.forEach(function(variant, index) {
+          if (!variant || typeof variant !== "object" || Array.isArray(variant)) return push(`variants[${index}]`, "should be a list of parameters")
+          WN.DExtYAML.checkYamlKeys(variant, WN.DExtYAML.conditionKeys, function(key, problem) { push(`variants[${index}].${key}`, problem) })
+        })
+      }
+      var chain = WN.DExtYAML.macroChain(id)
+      if (chain.missing) push("extends", `no macro ${chain.missing} in ${WN.DExtYAML.marcoyaml}.yaml`)
+      if (chain.cycle) push("extends", `${chain.cycle} ends up extending itself`)
+    }
+  }
+  return problems
+}
+
+WN.DExtYAML.choiceKeys = Object.assign({ label: "string|number", to: "string", switches: "object", variables: "object" }, WN.DExtYAML.conditionKeys)
+WN.DExtYAML.nextKeys = Object.assign({ to: "string" }, WN.DExtYAML.conditionKeys)
+
+// Checks the choices and next: entries of a message, and that the messages they go to exist
+WN.DExtYAML.checkDialogue = function(file, entry, push) {
+  var checkTarget = function(key, target) {
+    if (target !== undefined && !WN.DExtYAML.dialogueMessage(WN.DExtYAML.dialogueCode(target, file))) {
+      push(key, `no message ${WN.DExtYAML.dialogueCode(target, file)}`)
+    }
+  }
+  var checkList = function(name, list, rules) {
+    list.forEach(function(item, index) {
+      if (typeof item === "string" && name === "next") return checkTarget(`next[${index}]`, item)
+      if (!item || typeof item !== "object" || Array.isArray(item)) return push(`${name}[${index}]`, "should be a list of parameters")
+      WN.DExtYAML.checkYamlKeys(item, rules, function(key, problem) { push(`${name}[${index}].${key}`, problem) })
+      checkTarget(`${name}[${index}].to`, item.to)
+    })
+  }
+  if (typeof entry.next === "string") checkTarget("next", entry.next)
+  if (Array.isArray(entry.next)) checkList("next", entry.next, WN.DExtYAML.nextKeys)
+  if (Array.isArray(entry.choices)) checkList("choices", entry.choices, WN.DExtYAML.choiceKeys)
+}
+
+// Checks the keys of a message, macro or variant, extraRules being the keys it allows on top of the schema
+WN.DExtYAML.checkYamlKeys = function(entry, extraRules, push) {
+  for (var key in entry) {
+    var rule = extraRules.hasOwnProperty(key) ? extraRules[key] : WN.DExtYAML.schema[key]
+    if (rule === undefined) {
+      var suggestion = WN.DExtYAML.suggestKey(key)
+      push(key, suggestion ? `unknown key, did you mean ${suggestion}?` : "unknown key")
+    } else if (!WN.DExtYAML.validateYamlValue(entry[key], rule)) {
+      var expected = Array.isArray(rule) ? `one of ${rule.join(", ")}` : rule.replace(/\|/g, " or ")
+      push(key, `${JSON.stringify(entry[key])} should be ${expected}`)
+    }
+  }
+}
+
+WN.DExtYAML.reportYamlProblems = function() {
+  // DGT_YamlErrorDisambiguator already shows why a YAML didn't load
+  if (window.__lastYAMLError) return
+  var problems = WN.DExtYAML.validateMessages()
+  if (problems.length === 0) return
+  var lines = problems.map(function(p) { return `${p.file}.yaml > ${p.id} > ${p.key}: ${p.problem}` })
+  if (WN.DExtYAML.yamlvalidation === "error") {
+    Graphics.printFullError("YAML MESSAGES", `${problems.length} problem(s) found:`, lines.join("\n"))
+    SceneManager.stop()
+    return
+  }
+  console.groupCollapsed(`[DoubleExtendedYAML] ${problems.length} problem(s) found in YAML messages`)
+  lines.forEach(function(line) { console.warn(line) })
+  console.groupEnd()
+}
+
+var old_Scene_Boot_prototype_start = Scene_Boot.prototype.start;
+Scene_Boot.prototype.start = function() {
+  old_Scene_Boot_prototype_start.call(this);
+  if (Utils.isOptionValid("test") && WN.DExtYAML.yamlvalidation !== "off") {
+    WN.DExtYAML.reportYamlProblems();
+  }
+};
+
 var old_Scene_Boot_prototype_loadSystemWindowImage = Scene_Boot.prototype.loadSystemWindowImage;
 
 Scene_Boot.prototype.loadSystemWindowImage = function() {
@@ -895,9 +1222,116 @@ ${five[Math.floor(Math.random() * five.length)]}`).toUpperCase();
     return haiku
 }
 
+// DIALOGUE TREES
+// An ID without a file is in the file of the message it comes from
+WN.DExtYAML.dialogueCode = function(target, from) {
+  target = String(target)
+  return target.includes(".") ? target : `${from.split(".")[0]}.${target}`
+}
+
+WN.DExtYAML.dialogueMessage = function(code) {
+  var parts = code.split(".")
+  var file = LanguageManager.languageData().text[parts[0]]
+  return file ? file[parts.slice(1).join(".")] : undefined
+}
+
+// The message after one without choices, or null
+WN.DExtYAML.dialogueNext = function(data, code) {
+  if (data.next === undefined || data.next === null) return null
+  var list = Array.isArray(data.next) ? data.next : [data.next]
+  for (var entry of list) {
+    if (entry && typeof entry === "object") {
+      if (WN.DExtYAML.isConditionMet(entry)) return entry.to !== undefined ? WN.DExtYAML.dialogueCode(entry.to, code) : null
+    } else if (entry !== undefined && entry !== null) {
+      return WN.DExtYAML.dialogueCode(entry, code)
+    }
+  }
+  return null
+}
+
+WN.DExtYAML.applyDialogueEffects = function(entry) {
+  for (var switchId in entry.switches || {}) {
+    $gameSwitches.setValue(Number(switchId), !!entry.switches[switchId])
+  }
+  for (var variableId in entry.variables || {}) {
+    var value = entry.variables[variableId]
+    if (typeof value === "string" && /^[+-]/.test(value)) value = $gameVariables.value(Number(variableId)) + Number(value)
+    $gameVariables.setValue(Number(variableId), Number(value))
+  }
+}
+
+Game_Interpreter.prototype.startDialogueTree = function(code) {
+  this._dialogueTree = { start: code, code: null, choices: [], choice: -1 }
+  this.setWaitMode('dialogueTree')
+}
+
+/**
+ * Shows the next message of the dialogue tree once the current one is done.
+ * @return {boolean} false once the conversation is over.
+ */
+Game_Interpreter.prototype.updateDialogueTree = function() {
+  var tree = this._dialogueTree
+  var next = null
+  if (!tree.code) {
+    next = tree.start
+  } else if (tree.choices.length > 0) {
+    var choice = tree.choices[tree.choice]
+    if (choice) {
+      WN.DExtYAML.applyDialogueEffects(choice)
+      if (choice.to !== undefined) next = WN.DExtYAML.dialogueCode(choice.to, tree.code)
+    }
+  } else {
+    next = WN.DExtYAML.dialogueNext(WN.DExtYAML.dialogueMessage(tree.code), tree.code)
+  }
+  if (!next) {
+    this._dialogueTree = null
+    return false
+  }
+  return this.showDialogueMessage(next)
+}
+
+Game_Interpreter.prototype.showDialogueMessage = function(code) {
+  var tree = this._dialogueTree
+  var data = WN.DExtYAML.dialogueMessage(code)
+  if (!data) {
+    console.error(`[DoubleExtendedYAML] Dialogue message ${code} doesn't exist.`)
+    this._dialogueTree = null
+    return false
+  }
+  WN.DExtYAML.applyDialogueEffects(data)
+  $gameMessage.showLanguageMessage(code)
+  tree.code = code
+  tree.choice = -1
+  tree.choices = (data.choices || []).filter(function(choice) { return choice && typeof choice === "object" && WN.DExtYAML.isConditionMet(choice) })
+  if (tree.choices.length > 0) {
+    // cancel counts hidden choices too, and can't pick a hidden one
+    var cancel = data.cancel !== undefined ? tree.choices.indexOf((data.choices || [])[Number(data.cancel)]) : -1
+    $gameMessage.setChoices(tree.choices.map(function(choice) { return String(choice.label) }), 0, cancel)
+    $gameMessage.setChoiceBackground(0)
+    $gameMessage.setChoicePositionType(2)
+    $gameMessage.setChoiceCallback(function(index) { tree.choice = index })
+  }
+  return true
+}
+
+WN.DExtYAML.updateWaitMode = Game_Interpreter.prototype.updateWaitMode;
+Game_Interpreter.prototype.updateWaitMode = function() {
+  if (this._waitMode === 'dialogueTree') {
+    if ($gameMessage.isBusy()) return true;
+    if (this._dialogueTree && this.updateDialogueTree()) return true;
+    this._waitMode = '';
+    return false;
+  }
+  return WN.DExtYAML.updateWaitMode.call(this);
+};
+
 //This is so that This Event in GalvCaptions works correctly.
 WN.DExtYAML.pluginCommand = Game_Interpreter.prototype.pluginCommand;
 Game_Interpreter.prototype.pluginCommand = function(command, args) {
+  if (command.toLowerCase() === "dialoguetree") {
+    this.startDialogueTree(args[0]);
+    return;
+  }
   if (!$gameParty.inBattle() && Imported.Galv_MessageCaptions) { //In battle the Interpreter is the Game_Troop which doesn't have an event ID
     Galv.Mpup.thisEvent = this._eventId;
   }
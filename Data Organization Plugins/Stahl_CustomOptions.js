@@ -1,5 +1,5 @@
 /*:
-* @plugindesc v1.1.0 Adds Extensible Custom Options
+* @plugindesc v1.2.0 Adds Extensible Custom Options
 * @author ReynStahl
 * 
 * @help
@@ -30,6 +30,27 @@
 * CustomOptionHelper.addOption("turnorder", new CustomOptionConfig("reverieTurnOrder", 1)); // index 1 (off) by default
 * CustomOptionHelper.addOption("showstats", new CustomOptionConfig("reverieShowStats", 0)); // index 0 (on) by default
 *
+* # Typed Options:
+* These show their value instead of a list of choices, so "options" in the YAML is not used.
+* The last argument is optional settings: { save, requiresRestart, spacing }.
+* save: true stores the value in the save file instead of ConfigManager, like "/save/" options.
+* CustomOptionHelper.addOption("textspeed", new CustomOptionSlider("reverieTextSpeed", 0, 100, 5, 50)); // LEFT/RIGHT by 5, from 0 to 100
+* CustomOptionHelper.addOption("dashkey", new CustomOptionKeybind("reverieDashKey", "shift", 16)); // OK then a key binds it to "shift"
+* CustomOptionHelper.addOption("uicolor", new CustomOptionColor("reverieUiColor", "#ffffff")); // LEFT/RIGHT palette, OK color dialog
+* CustomOptionHelper.addOption("nickname", new CustomOptionText("reverieNickname", "OMORI", 12, { save: true })); // OK to type
+* CustomOptionHelper.addOption("reset", new CustomOptionReset()); // OK resets every option to its default
+* Their value is got with option.getValue(), or ConfigManager.variableName for global ones.
+*
+* # Restart:
+* Add "requiresRestart: true" to an option in the YAML (or pass { requiresRestart: true })
+* to add CustomOptionHelper.RESTART_TEXT to its help text.
+* CustomOptionHelper.restartPending is true once such an option was changed, and the options menu
+* then shows CustomOptionHelper.RESTART_NOTICE at the top until the game is restarted.
+*
+* # Reset:
+* CustomOptionHelper.resetToDefaults() resets every option to its default, like CustomOptionReset.
+* Variable and switch options have no default and are left alone.
+*
 * # Example YAML:
 * Options:
 *     # Options starting with "/save/" Indicates the option is only for the save. 
@@ -46,6 +67,11 @@
 *         header: "ACTUAL TURN ORDER"
 *         options: ["ON", "OFF"]
 *         helpText: "Makes the menu turn order be based on character's speed."
+*     textspeed:
+*         header: "TEXT SPEED"
+*         options: []
+*         helpText: "Changes how fast text appears."
+*         requiresRestart: true
 */
 
 var Stahl = Stahl || {};
@@ -78,11 +104,59 @@ class CustomOptionHelper {
         let newData = LanguageManager.getTextData(file, name, language);
         Object.assign(this.languageData, newData);
     }
+
+    static optionAt(listIndex) {
+        for (const [key, value] of Object.entries(this.optionData)) {
+            if (value.listIndex == listIndex) {
+                return value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Updates the shown value of an option after it changed.
+     * @param {*} optionsWindow The options window
+     * @param {*} listIndex Index of the option in the window
+     */
+    static refreshOption(optionsWindow, listIndex) {
+        let data = optionsWindow._optionsList[listIndex];
+        let option = this.optionAt(listIndex);
+        if (!data || !option) return;
+        data.options = option.getOptions(data.lang);
+        data.index = option.getIndex();
+        optionsWindow.redrawItem(listIndex);
+    }
+
+    /**
+     * Resets every option to its default.
+     * @param {*} optionsWindow The options window to redraw, if open
+     */
+    static resetToDefaults(optionsWindow) {
+        for (const [key, value] of Object.entries(this.optionData)) {
+            value.reset();
+        }
+        ConfigManager.save();
+        if (optionsWindow) {
+            for (const [key, value] of Object.entries(this.optionData)) {
+                this.refreshOption(optionsWindow, value.listIndex);
+            }
+        }
+    }
+
+    // Values of typed options with { save: true }
+    static saveData() {
+        $gameSystem._customOptions = $gameSystem._customOptions || {};
+        return $gameSystem._customOptions;
+    }
 }
 
 CustomOptionHelper.COLOR_DISABLED = "rgb(100, 100, 100)";
 CustomOptionHelper.COLOR_HEADER = "rgb(255, 200, 0)";
 CustomOptionHelper.SAVEKEY = "/save/";
+CustomOptionHelper.RESTART_TEXT = " (Requires restart)";
+CustomOptionHelper.RESTART_NOTICE = "Restart the game to apply every change.";
+CustomOptionHelper.restartPending = false;
 
 /**
  * This is to keep track of optionData.
@@ -101,12 +175,15 @@ class CustomOption {
     constructor(spacing = 120) {
         this.listIndex = 0;
         this.spacing = spacing;
+        this.requiresRestart = false;
     }
 
     getIndex() {return -1};
+    getOptions(lang) {return lang.options};
     processIndex(data) {};
     loadIndex(config) {};
     saveIndex(config) {};
+    reset() {};
 }
 
 /**
@@ -135,6 +212,10 @@ class CustomOptionConfig extends CustomOption {
     saveIndex(config) {
         ConfigManager[this.varName] = (config[this.varName] == undefined) ? this.defaultIndex : config[this.varName];
     };
+
+    reset() {
+        ConfigManager[this.varName] = this.defaultIndex;
+    };
 }
 
 /**
@@ -199,6 +280,289 @@ class CustomOptionSwitch extends CustomOption {
     };
 }
 
+// =========================================================
+// TYPED OPTIONS CLASSES
+// =========================================================
+/**
+ * Base class for options showing a value instead of choices.
+ * Saves to ConfigManager, or to the save file with { save: true }.
+ */
+class CustomOptionValue extends CustomOption {
+    constructor(varName, defaultValue, settings = {}) {
+        super(settings.spacing);
+        this.varName = varName;
+        this.defaultValue = defaultValue;
+        this.save = !!settings.save;
+        this.requiresRestart = !!settings.requiresRestart;
+    }
+
+    getValue() {
+        if (this.save) {
+            if (!CustomOptionHelper.inSave()) {
+                return this.defaultValue;
+            }
+            let data = CustomOptionHelper.saveData();
+            return data[this.varName] == undefined ? this.defaultValue : data[this.varName];
+        }
+        return ConfigManager[this.varName] == undefined ? this.defaultValue : ConfigManager[this.varName];
+    };
+
+    setValue(value) {
+        if (this.save && !CustomOptionHelper.inSave()) {
+            console.log("Attempted to change option", this.varName, "without being in save!");
+            return false;
+        }
+        if (value === this.getValue()) return false;
+        if (this.save) {
+            CustomOptionHelper.saveData()[this.varName] = value;
+        } else {
+            ConfigManager[this.varName] = value;
+        }
+        if (this.requiresRestart) CustomOptionHelper.restartPending = true;
+        this.apply();
+        console.log("Set Option", this.varName, "to", value);
+        return true;
+    };
+
+    /** Text shown as the only choice. */
+    valueText() {
+        return String(this.getValue());
+    };
+
+    /** Called when the value is set or loaded. */
+    apply() {};
+
+    getIndex() {return 0};
+    getOptions(lang) {return [this.valueText()]};
+
+    /**
+     * LEFT/RIGHT on the option.
+     * @param {*} direction -1 or 1
+     * @returns {boolean} Whether the value changed
+     */
+    changeValue(direction) {return false};
+
+    /**
+     * OK on the option.
+     * @param {*} optionsWindow The options window
+     * @returns {boolean} Whether OK is used by this option
+     */
+    processOk(optionsWindow) {return false};
+
+    /**
+     * Called every frame while editing, see CustomOptionText.
+     * @returns {boolean} Whether editing is done
+     */
+    updateEdit(optionsWindow) {return true};
+
+    loadIndex(config) {
+        if (!this.save) config[this.varName] = ConfigManager[this.varName];
+    };
+
+    saveIndex(config) {
+        if (this.save) return;
+        ConfigManager[this.varName] = (config[this.varName] == undefined) ? this.defaultValue : config[this.varName];
+        this.apply();
+    };
+
+    reset() {
+        if (!this.save || CustomOptionHelper.inSave()) this.setValue(this.defaultValue);
+    };
+}
+
+/**
+ * Number from min to max, changed by step with LEFT/RIGHT.
+ */
+class CustomOptionSlider extends CustomOptionValue {
+    constructor(varName, min, max, step = 1, defaultValue = min, settings = {}) {
+        super(varName, defaultValue, settings);
+        this.min = min;
+        this.max = max;
+        this.step = step;
+    }
+
+    valueText() {
+        let value = this.getValue();
+        return `${value > this.min ? "< " : "  "}${value}${value < this.max ? " >" : "  "}`;
+    };
+
+    changeValue(direction) {
+        let value = (this.getValue() + this.step * direction).clamp(this.min, this.max);
+        // Avoid 0.30000000000000004 with decimal steps
+        return this.setValue(Number(value.toFixed(10)));
+    };
+}
+
+/**
+ * Keyboard key bound to an Input symbol ("ok", "shift"...). OK then waits for a key, ESCAPE cancels.
+ * The value is the key code.
+ */
+class CustomOptionKeybind extends CustomOptionValue {
+    constructor(varName, symbol, defaultKey, settings = {}) {
+        super(varName, defaultKey, settings);
+        this.symbol = symbol;
+        this.boundKey = null;
+        this.waiting = false;
+    }
+
+    valueText() {
+        if (this.waiting) return CustomOptionKeybind.WAITING_TEXT;
+        let keyCode = this.getValue();
+        if (CustomOptionKeybind.KEY_NAMES[keyCode]) return CustomOptionKeybind.KEY_NAMES[keyCode];
+        if ((keyCode >= 48 && keyCode <= 57) || (keyCode >= 65 && keyCode <= 90)) return String.fromCharCode(keyCode);
+        return `KEY ${keyCode}`;
+    };
+
+    apply() {
+        // Give the old key back its original use
+        if (this.boundKey != null && Input.keyMapper[this.boundKey] === this.symbol) {
+            if (CustomOptionKeybind.defaultKeyMapper[this.boundKey]) {
+                Input.keyMapper[this.boundKey] = CustomOptionKeybind.defaultKeyMapper[this.boundKey];
+            } else {
+                delete Input.keyMapper[this.boundKey];
+            }
+        }
+        this.boundKey = this.getValue();
+        Input.keyMapper[this.boundKey] = this.symbol;
+    };
+
+    processOk(optionsWindow) {
+        this.waiting = true;
+        this.pressedKey = null;
+        // Capture phase on window runs before Input sees the key
+        this.listener = (event) => {
+            if (event.repeat) return;
+            event.preventDefault();
+            event.stopPropagation();
+            this.pressedKey = event.keyCode;
+        };
+        window.addEventListener("keydown", this.listener, true);
+        return true;
+    };
+
+    updateEdit(optionsWindow) {
+        if (this.pressedKey == null) return false;
+        window.removeEventListener("keydown", this.listener, true);
+        this.waiting = false;
+        if (this.pressedKey !== 27) this.setValue(this.pressedKey);
+        return true;
+    };
+}
+
+CustomOptionKeybind.WAITING_TEXT = "PRESS A KEY";
+CustomOptionKeybind.KEY_NAMES = {
+    8: "BACKSPACE", 9: "TAB", 13: "ENTER", 16: "SHIFT", 17: "CTRL", 18: "ALT", 32: "SPACE",
+    33: "PAGE UP", 34: "PAGE DOWN", 35: "END", 36: "HOME", 37: "LEFT", 38: "UP", 39: "RIGHT", 40: "DOWN",
+    45: "INSERT", 46: "DELETE", 96: "NUM 0", 97: "NUM 1", 98: "NUM 2", 99: "NUM 3", 100: "NUM 4",
+    101: "NUM 5", 102: "NUM 6", 103: "NUM 7", 104: "NUM 8", 105: "NUM 9",
+    112: "F1", 113: "F2", 114: "F3", 115: "F4", 116: "F5", 117: "F6", 118: "F7", 119: "F8", 120: "F9", 121: "F10", 122: "F11", 123: "F12"
+};
+// Input.keyMapper before any keybind option changed it
+CustomOptionKeybind.defaultKeyMapper = Object.assign({}, Input.keyMapper);
+
+/**
+ * Color as "#rrggbb". LEFT/RIGHT go through the palette, OK opens the color dialog.
+ */
+class CustomOptionColor extends CustomOptionValue {
+    constructor(varName, defaultColor = "#ffffff", settings = {}) {
+        super(varName, defaultColor.toLowerCase(), settings);
+        this.palette = (settings.palette || CustomOptionColor.PALETTE).map(color => color.toLowerCase());
+    }
+
+    valueText() {
+        return this.getValue().toUpperCase();
+    };
+
+    changeValue(direction) {
+        let index = this.palette.indexOf(this.getValue());
+        if (index < 0) index = direction > 0 ? -1 : 0;
+        return this.setValue(this.palette[(index + direction + this.palette.length) % this.palette.length]);
+    };
+
+    processOk(optionsWindow) {
+        let input = document.createElement("input");
+        input.type = "color";
+        input.value = this.getValue();
+        input.style = "position: fixed; left: -1000px; opacity: 0;";
+        input.addEventListener("input", () => {
+            if (this.setValue(input.value.toLowerCase())) {
+                CustomOptionHelper.refreshOption(optionsWindow, this.listIndex);
+            }
+        });
+        input.addEventListener("change", () => input.remove());
+        document.body.appendChild(input);
+        input.click();
+        return true;
+    };
+}
+
+CustomOptionColor.PALETTE = [
+    "#ffffff", "#c0c0c0", "#808080", "#000000", "#ff0000", "#ff8000", "#ffff00", "#80ff00",
+    "#00ff00", "#00ff80", "#00ffff", "#0080ff", "#0000ff", "#8000ff", "#ff00ff", "#ff0080"
+];
+
+/**
+ * Free text up to maxLength characters. OK starts typing, ENTER confirms and ESCAPE cancels.
+ */
+class CustomOptionText extends CustomOptionValue {
+    constructor(varName, defaultText = "", maxLength = 16, settings = {}) {
+        super(varName, defaultText, settings);
+        this.maxLength = maxLength;
+        this.input = null;
+    }
+
+    valueText() {
+        if (this.input) return `${this.input.value}_`;
+        return this.getValue() || "-";
+    };
+
+    processOk(optionsWindow) {
+        if (this.save && !CustomOptionHelper.inSave()) return false;
+        let input = this.input = document.createElement("input");
+        input.type = "text";
+        input.maxLength = this.maxLength;
+        input.value = this.getValue();
+        input.style = "position: fixed; left: -1000px; opacity: 0;";
+        this.done = false;
+        // Keep the keys away from Input while typing
+        input.addEventListener("keydown", (event) => {
+            event.stopPropagation();
+            if (event.keyCode === 13 || event.keyCode === 27) {
+                this.done = true;
+                if (event.keyCode === 13) this.setValue(input.value);
+            }
+        });
+        input.addEventListener("keyup", (event) => event.stopPropagation());
+        input.addEventListener("blur", () => { this.done = true; });
+        document.body.appendChild(input);
+        input.focus();
+        return true;
+    };
+
+    updateEdit(optionsWindow) {
+        if (!this.done) {
+            if (this.input.value !== this.shownText) {
+                this.shownText = this.input.value;
+                CustomOptionHelper.refreshOption(optionsWindow, this.listIndex);
+            }
+            return false;
+        }
+        this.input.remove();
+        this.input = null;
+        return true;
+    };
+}
+
+/**
+ * OK resets every option to its default.
+ */
+class CustomOptionReset extends CustomOption {
+    processOk(optionsWindow) {
+        CustomOptionHelper.resetToDefaults(optionsWindow);
+        return true;
+    };
+}
+
 // =========================================================
 // SAVE AND LOAD OPTIONS
 // =========================================================
@@ -211,6 +575,7 @@ Window_OmoMenuOptionsGeneral.prototype.processOptionCommand = function () {
     for (const [key, value] of Object.entries(CustomOptionHelper.optionData)) {
         if (value.listIndex == index) {
             value.processIndex(data);
+            if (value.requiresRestart) CustomOptionHelper.restartPending = true;
             break;
         }
     }
@@ -245,14 +610,17 @@ Window_OmoMenuOptionsGeneral.prototype.makeOptionsList = function () {
  * @param {*} index Where to start the index
  */
 Window_OmoMenuOptionsGeneral.prototype.createCustomOption = function (lang, varName, spacing, index) {
+    let option = CustomOptionHelper.optionData[varName];
+    if (lang[varName].requiresRestart) option.requiresRestart = true;
     this._optionsList.push({
         header: lang[varName].header,
-        options: lang[varName].options,
-        helpText: lang[varName].helpText,
+        options: option.getOptions(lang[varName]),
+        helpText: option.requiresRestart ? (lang[varName].helpText || "") + CustomOptionHelper.RESTART_TEXT : lang[varName].helpText,
         spacing: spacing,
         index: index,
+        lang: lang[varName],
     });
-    CustomOptionHelper.optionData[varName].listIndex = this._optionsList.length - 1;
+    option.listIndex = this._optionsList.length - 1;
 }
 
 Stahl.CustomOptions.ConfigManager_applyData = ConfigManager.applyData;
@@ -272,6 +640,9 @@ Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_drawOptionSegment = Window_OmoM
 Window_OmoMenuOptionsGeneral.prototype.drawOptionSegment = function(header, options, spacing, rect) {
     let old_color = this.contents.textColor; // save color
     if (options.length > 0) {
+        if (this._customOptionDrawing instanceof CustomOptionColor) {
+            this.contents.textColor = this._customOptionDrawing.getValue();
+        }
         if (header.startsWith(CustomOptionHelper.SAVEKEY)) { // if it's a save.
             header = header.substring(CustomOptionHelper.SAVEKEY.length); // remove the initial suffix
             // If not in a save then gray out.
@@ -288,6 +659,114 @@ Window_OmoMenuOptionsGeneral.prototype.drawOptionSegment = function(header, opti
     this.contents.textColor = old_color; // reset color
 };
 
+// =========================================================
+// TYPED OPTION INPUT
+// =========================================================
+Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_cursorRight = Window_OmoMenuOptionsGeneral.prototype.cursorRight;
+Window_OmoMenuOptionsGeneral.prototype.cursorRight = function (wrap) {
+    if (!this.changeCustomOptionValue(1)) {
+        Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_cursorRight.call(this, wrap);
+    }
+};
+
+Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_cursorLeft = Window_OmoMenuOptionsGeneral.prototype.cursorLeft;
+Window_OmoMenuOptionsGeneral.prototype.cursorLeft = function (wrap) {
+    if (!this.changeCustomOptionValue(-1)) {
+        Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_cursorLeft.call(this, wrap);
+    }
+};
+
+/**
+ * Changes the value of a typed option with LEFT/RIGHT.
+ * @returns {boolean} false if the selected option isn't a typed one
+ */
+Window_OmoMenuOptionsGeneral.prototype.changeCustomOptionValue = function (direction) {
+    let option = CustomOptionHelper.optionAt(this.index());
+    if (!(option instanceof CustomOptionValue)) return false;
+    if (option.changeValue(direction)) {
+        SoundManager.playCursor();
+        CustomOptionHelper.refreshOption(this, this.index());
+    }
+    return true;
+};
+
+Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_isOkEnabled = Window_OmoMenuOptionsGeneral.prototype.isOkEnabled;
+Window_OmoMenuOptionsGeneral.prototype.isOkEnabled = function () {
+    let option = CustomOptionHelper.optionAt(this.index());
+    return (option && !!option.processOk) || Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_isOkEnabled.call(this);
+};
+
+Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_processOk = Window_OmoMenuOptionsGeneral.prototype.processOk;
+Window_OmoMenuOptionsGeneral.prototype.processOk = function () {
+    let option = CustomOptionHelper.optionAt(this.index());
+    if (!option || !option.processOk) {
+        return Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_processOk.call(this);
+    }
+    if (!option.processOk(this)) {
+        SoundManager.playBuzzer();
+        return;
+    }
+    SoundManager.playOk();
+    if (option instanceof CustomOptionValue) {
+        // Keybind and text options take the keyboard until they are done
+        this._customOptionEditing = option;
+        this.deactivate();
+        CustomOptionHelper.refreshOption(this, this.index());
+    }
+};
+
+Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_update = Window_OmoMenuOptionsGeneral.prototype.update;
+Window_OmoMenuOptionsGeneral.prototype.update = function () {
+    Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_update.call(this);
+    let option = this._customOptionEditing;
+    if (option && option.updateEdit(this)) {
+        this._customOptionEditing = null;
+        Input.clear();
+        this.activate();
+        CustomOptionHelper.refreshOption(this, option.listIndex);
+    }
+};
+
+// Typed options draw with the color they hold, see CustomOptionColor
+Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_drawItem = Window_OmoMenuOptionsGeneral.prototype.drawItem;
+Window_OmoMenuOptionsGeneral.prototype.drawItem = function (index) {
+    this._customOptionDrawing = CustomOptionHelper.optionAt(index);
+    Stahl.CustomOptions.Window_OmoMenuOptionsGeneral_drawItem.call(this, index);
+    this._customOptionDrawing = null;
+};
+
+// =========================================================
+// RESTART NOTICE
+// =========================================================
+/**
+ * Opens at the top of the options menu once an option that requires a restart was changed.
+ */
+class Window_CustomOptionRestart extends Window_Base {
+    initialize() {
+        let width = 460;
+        super.initialize((Graphics.boxWidth - width) / 2, 0, width, this.fittingHeight(1));
+        this.openness = CustomOptionHelper.restartPending ? 255 : 0;
+        this.refresh();
+    }
+
+    refresh() {
+        this.contents.clear();
+        this.drawText(CustomOptionHelper.RESTART_NOTICE, 0, 0, this.contentsWidth(), 'center');
+    }
+
+    update() {
+        super.update();
+        if (CustomOptionHelper.restartPending && this.isClosed()) this.open();
+    }
+}
+
+Stahl.CustomOptions.Scene_OmoMenuOptions_create = Scene_OmoMenuOptions.prototype.create;
+Scene_OmoMenuOptions.prototype.create = function () {
+    Stahl.CustomOptions.Scene_OmoMenuOptions_create.call(this);
+    this._customOptionRestartWindow = new Window_CustomOptionRestart();
+    this.addChild(this._customOptionRestartWindow);
+};
+
 // ==================================================================================================================
 
 // =========================================================
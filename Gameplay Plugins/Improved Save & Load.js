@@ -12,12 +12,141 @@ var _TDS_ = _TDS_ || {} ; _TDS_.OmoriSaveLoad = _TDS_.OmoriSaveLoad || {};
  * @plugindesc
  * Combo Skills port from ACE.
  *
+ * @help
+ * Every save stores a thumbnail of the map, the map name and a list of tags
+ * next to the usual chapter and location. Players can edit tags with the
+ * TAGS command and filter the file list with SEARCH. Search terms can be
+ * limited to one field: name:, chapter:, location:, map: or tag:
+ *
+ * Events can tag the next save with a script call:
+ *   $gameSystem.saveTags = ["boss", "chapter 2"];
+ *
+ * The face shown for the party leader on the file list can be set per actor
+ * with notetags. The first entry whose condition is met is used:
+ *   <SaveFace: 01_FA_OMORI_BATTLE, 0, switch 12>
+ *   <SaveFace: 01_FA_OMORI_BATTLE, 0, !switch 12>
+ *   <SaveFace: 01_FA_OMORI_BATTLE, 0, variable 5 >= 3>
+ *   <SaveFace: 01_OMORI_BATTLE, 0>
+ * A variable without an operator or value, like "variable 5" here or
+ * "variable: 5" in YAML, is met when it isn't 0.
+ *
+ * Or with the YAML set in Save Face YAML, keyed by actor ID. YAML entries are
+ * checked before notetags, and actors without any entry use OMORI's faces:
+ *   1:
+ *     - face: 01_FA_OMORI_BATTLE
+ *       index: 0
+ *       switch: 12          # value defaults to true
+ *     - face: 01_FA_OMORI_BATTLE
+ *       variable: 5
+ *       operator: ">="      # ==, !=, >, >=, <, <= (== by default)
+ *       value: 3
+ *     - face: 01_OMORI_BATTLE
+ *
+ * Saves remember the Save Version they were made with. When a mod update
+ * renumbers switches, variables, items or maps, raise the Save Version and
+ * register a migration for it from another plugin. Migrations run in order
+ * when an older save is loaded from the file menu:
+ *   DataManager.registerSaveMigration(2, function(migration) {
+ *     migration.remapSwitch(12, 40);
+ *     migration.remapVariable(5, 61);
+ *     migration.remapItem(3, 18);           // 'weapon' or 'armor' as 3rd arg
+ *     migration.remapMap(7, 102);           // also moves self switches
+ *     migration.remapEvent(102, 4, 9);      // self switches of a moved event
+ *     if (!$dataItems[18]) { migration.problem("Item 18 is missing"); };
+ *   });
+ * Problems and failed migrations are listed in the prompt window, and the
+ * player can choose whether to load the save anyway. A save loaded anyway
+ * keeps the version of the last migration that worked, so the failed one and
+ * the ones after it run again the next time it's loaded.
+ *
+ * EXPORT copies a save and a manifest.json (mods and their versions) into a
+ * folder, so players can share it in bug reports. IMPORT reads such a folder
+ * back into the first free file and warns when the installed mods differ.
+ *
+ * @param Save Face YAML
+ * @desc The YAML file with the save menu faces of each actor.
+ * @default save_faces
+ *
+ * @param Save Version
+ * @desc The current save version of the mod. Raise it when adding a migration.
+ * @type number
+ * @default 0
  *
  */
+_TDS_.OmoriSaveLoad.params = PluginManager.parameters('Improved Save & Load');
+_TDS_.OmoriSaveLoad.saveFaceYaml = String(_TDS_.OmoriSaveLoad.params['Save Face YAML'] || 'save_faces');
+_TDS_.OmoriSaveLoad.saveVersion = Number(_TDS_.OmoriSaveLoad.params['Save Version'] || 0);
+_TDS_.OmoriSaveLoad.migrations = _TDS_.OmoriSaveLoad.migrations || [];
+
+//=============================================================================
+// * Get Save Face Entries (YAML first, then notetags)
+//=============================================================================
+Game_Actor.prototype.saveFaceEntries = function() {
+  var entries = [];
+  var yaml = LanguageManager.languageData().text[_TDS_.OmoriSaveLoad.saveFaceYaml];
+  if (yaml && yaml[this.actorId()]) {
+    entries = entries.concat(yaml[this.actorId()]);
+  };
+  var regex = /<SaveFace:\s*([^,>]+?)\s*(?:,\s*(\d+))?\s*(?:,\s*(!?)\s*(switch|variable)\s+(\d+)(?:\s*(==|!=|>=|<=|>|<|=)\s*(-?\d+))?)?\s*>/gi;
+  var match;
+  while ((match = regex.exec(this.actor().note)) !== null) {
+    var entry = { face: match[1], index: Number(match[2] || 0) };
+    if (match[4] && match[4].toLowerCase() === 'switch') {
+      entry.switch = Number(match[5]);
+      entry.value = match[3] !== '!';
+    } else if (match[4]) {
+      entry.variable = Number(match[5]);
+      if (match[6]) {
+        entry.operator = match[6];
+        entry.value = Number(match[7] || 0);
+      };
+    };
+    entries.push(entry);
+  };
+  return entries;
+};
+//=============================================================================
+// * Get Save Face Entry whose condition is met
 //=============================================================================
+Game_Actor.prototype.saveFaceEntry = function() {
+  var entries = this.saveFaceEntries();
+  for (var i = 0; i < entries.length; i++) {
+    if (DataManager.isSaveFaceConditionMet(entries[i])) { return entries[i]; };
+  };
+  return null;
+};
+//=============================================================================
+// * Check Save Face Condition
+//=============================================================================
+DataManager.isSaveFaceConditionMet = function(entry) {
+  if (entry.switch) {
+    return $gameSwitches.value(entry.switch) === (entry.value === undefined ? true : !!entry.value);
+  };
+  if (entry.variable) {
+    var value = $gameVariables.value(entry.variable);
+    var target = entry.value === undefined ? 0 : entry.value;
+    // A variable without an operator or value checks that it isn't 0
+    var operator = entry.operator || (entry.value === undefined ? '!=' : '==');
+    switch (operator) {
+      case '=': case '==': return value == target;
+      case '!=': return value != target;
+      case '>': return value > target;
+      case '>=': return value >= target;
+      case '<': return value < target;
+      case '<=': return value <= target;
+    };
+    return false;
+  };
+  return true;
+};
 
+//=============================================================================
+// * Save Menu Face Name & Index
+//=============================================================================
 Game_Actor.prototype.faceSaveLoad = function() {
   var actor = this.actor();
+  var entry = this.saveFaceEntry();
+  if (entry) { return entry.face; };
   // When changing these the .png should not be required.
   switch (actor.id) {
     case 1: // Omori
@@ -43,6 +172,8 @@ Game_Actor.prototype.faceSaveLoad = function() {
 
 Game_Actor.prototype.faceSaveLoadIndex = function() {
   var actor = this.actor();
+  var entry = this.saveFaceEntry();
+  if (entry) { return Number(entry.index || 0); };
   // When changing these the .png should not be required.
   switch (actor.id) {
     case 1: // Omori
@@ -90,9 +221,267 @@ DataManager.makeSavefileInfo = function() {
     info.chapter = $gameVariables.value(23);
     info.location = $gameMap.displayName();
     info.saveName = $gameSystem.saveName;
+    info.mapId = $gameMap.mapId();
+    info.mapName = $dataMapInfos[info.mapId] ? $dataMapInfos[info.mapId].name : "";
+    info.tags = $gameSystem.saveTags || [];
+    info.thumbnail = this.makeSavefileThumbnail();
+    info.saveVersion = this.loadedSaveVersion();
 
     return info;
 };
+//=============================================================================
+// Alias Listing
+//=============================================================================
+if (!_TDS_.OmoriSaveLoad.DataManager_makeSaveContents) {
+    _TDS_.OmoriSaveLoad.DataManager_makeSaveContents = DataManager.makeSaveContents;
+    _TDS_.OmoriSaveLoad.DataManager_extractSaveContents = DataManager.extractSaveContents;
+    _TDS_.OmoriSaveLoad.DataManager_setupNewGame = DataManager.setupNewGame;
+}
+//=============================================================================
+// * Make Save Contents
+//=============================================================================
+DataManager.makeSaveContents = function() {
+  var contents = _TDS_.OmoriSaveLoad.DataManager_makeSaveContents.call(this);
+  contents.saveVersion = this.loadedSaveVersion();
+  return contents;
+};
+//=============================================================================
+// * Extract Save Contents
+//=============================================================================
+DataManager.extractSaveContents = function(contents) {
+  _TDS_.OmoriSaveLoad.DataManager_extractSaveContents.call(this, contents);
+  // Saves made before versioning count as version 0
+  this._loadedSaveVersion = contents.saveVersion || 0;
+};
+//=============================================================================
+// * Setup New Game
+//=============================================================================
+DataManager.setupNewGame = function() {
+  _TDS_.OmoriSaveLoad.DataManager_setupNewGame.call(this);
+  this._loadedSaveVersion = this.saveVersion();
+};
+//=============================================================================
+// * Save Version
+//=============================================================================
+DataManager.saveVersion = function() { return _TDS_.OmoriSaveLoad.saveVersion; };
+//=============================================================================
+// * Loaded Save Version (the last version the current game was updated to)
+//=============================================================================
+DataManager.loadedSaveVersion = function() {
+  return this._loadedSaveVersion !== undefined ? this._loadedSaveVersion : this.saveVersion();
+};
+//=============================================================================
+// * Register Save Migration
+//=============================================================================
+// The callback upgrades a save from version - 1 to version and receives a
+// Game_SaveMigration with helpers to remap data.
+//=============================================================================
+DataManager.registerSaveMigration = function(version, callback) {
+  _TDS_.OmoriSaveLoad.migrations.push({ version: version, callback: callback });
+  _TDS_.OmoriSaveLoad.migrations.sort(function(a, b) { return a.version - b.version; });
+};
+//=============================================================================
+// * Migrate the loaded save to the current version (returns problems)
+//=============================================================================
+DataManager.migrateSave = function() {
+  var problems = [];
+  var fromVersion = this._loadedSaveVersion || 0;
+  var migrations = _TDS_.OmoriSaveLoad.migrations;
+  for (var i = 0; i < migrations.length; i++) {
+    var version = migrations[i].version;
+    if (version <= fromVersion || version > this.saveVersion()) { continue; };
+    var migration = new Game_SaveMigration(version);
+    try {
+      migrations[i].callback(migration);
+    } catch (e) {
+      console.error(e);
+      problems = problems.concat(migration.problems());
+      problems.push('Update to v' + version + ' failed: ' + e.message);
+      // Later migrations expect this one to have finished, and the save keeps
+      // the last version that updated so they run again next time it's loaded
+      return problems;
+    };
+    problems = problems.concat(migration.problems());
+    this._loadedSaveVersion = version;
+  };
+  this._loadedSaveVersion = Math.max(fromVersion, this.saveVersion());
+  return problems;
+};
+
+//=============================================================================
+// * Get Installed Mods (id => version)
+//=============================================================================
+DataManager.installedMods = function() {
+  var mods = {};
+  // Only retail OneLoader has a mod list
+  if (!window.$modLoader) { return mods; };
+  $modLoader.knownMods.forEach(function(mod, id) {
+    mods[id] = mod.json && mod.json.version ? String(mod.json.version) : '';
+  });
+  return mods;
+};
+//=============================================================================
+// * Compare Installed Mods against an exported save's mods
+//=============================================================================
+DataManager.compareInstalledMods = function(exportedMods) {
+  var warnings = [];
+  var installed = this.installedMods();
+  Object.keys(exportedMods).forEach(function(id) {
+    if (!(id in installed)) {
+      warnings.push('Missing mod: ' + id + ' ' + exportedMods[id]);
+    } else if (installed[id] !== exportedMods[id]) {
+      warnings.push(id + ' is ' + installed[id] + ', save used ' + exportedMods[id]);
+    };
+  });
+  Object.keys(installed).forEach(function(id) {
+    if (!(id in exportedMods)) { warnings.push('Extra mod: ' + id + ' ' + installed[id]); };
+  });
+  return warnings;
+};
+
+//=============================================================================
+// ** Game_SaveMigration
+//-----------------------------------------------------------------------------
+// Helpers given to save migrations to remap data of the loaded save.
+//=============================================================================
+function Game_SaveMigration() { this.initialize.apply(this, arguments); }
+//=============================================================================
+// * Object Initialization
+//=============================================================================
+Game_SaveMigration.prototype.initialize = function(version) {
+  this._version = version;
+  this._problems = [];
+};
+//=============================================================================
+// * Version & Problems
+//=============================================================================
+Game_SaveMigration.prototype.version = function() { return this._version; };
+Game_SaveMigration.prototype.problems = function() { return this._problems; };
+Game_SaveMigration.prototype.problem = function(message) {
+  this._problems.push('v' + this._version + ': ' + message);
+};
+//=============================================================================
+// * Remap Switch & Variable
+//=============================================================================
+Game_SaveMigration.prototype.remapSwitch = function(from, to) {
+  $gameSwitches._data[to] = $gameSwitches._data[from];
+  $gameSwitches._data[from] = false;
+};
+Game_SaveMigration.prototype.remapVariable = function(from, to) {
+  $gameVariables._data[to] = $gameVariables._data[from];
+  $gameVariables._data[from] = 0;
+};
+//=============================================================================
+// * Remap Item (type is 'item', 'weapon' or 'armor')
+//=============================================================================
+Game_SaveMigration.prototype.remapItem = function(from, to, type) {
+  var container = { weapon: $gameParty._weapons, armor: $gameParty._armors }[type] || $gameParty._items;
+  if (!container[from]) { return; };
+  container[to] = (container[to] || 0) + container[from];
+  delete container[from];
+  // Equipped weapons & armors
+  if (type === 'weapon' || type === 'armor') {
+    $gameParty.allMembers().forEach(function(actor) {
+      actor._equips.forEach(function(equip) {
+        if (equip._dataClass === type && equip._itemId === from) { equip._itemId = to; };
+      });
+    });
+  };
+};
+//=============================================================================
+// * Remap Map (player position and self switches)
+//=============================================================================
+Game_SaveMigration.prototype.remapMap = function(from, to, x, y) {
+  if ($gameMap.mapId() === from) {
+    $gamePlayer.reserveTransfer(to, x === undefined ? $gamePlayer.x : x, y === undefined ? $gamePlayer.y : y, $gamePlayer.direction(), 0);
+    $gamePlayer.requestMapReload();
+  };
+  this.remapSelfSwitches(function(mapId, eventId) {
+    return mapId === from ? [to, eventId] : null;
+  });
+};
+//=============================================================================
+// * Remap Event (self switches)
+//=============================================================================
+Game_SaveMigration.prototype.remapEvent = function(mapId, from, to) {
+  this.remapSelfSwitches(function(keyMapId, eventId) {
+    return keyMapId === mapId && eventId === from ? [mapId, to] : null;
+  });
+};
+Game_SaveMigration.prototype.remapSelfSwitches = function(callback) {
+  var data = $gameSelfSwitches._data;
+  var remapped = {};
+  Object.keys(data).forEach(function(key) {
+    var parts = key.split(',');
+    var target = callback(Number(parts[0]), Number(parts[1]));
+    if (target) {
+      remapped[[target[0], target[1], parts[2]].toString()] = data[key];
+      delete data[key];
+    };
+  });
+  Object.assign(data, remapped);
+};
+//=============================================================================
+// * Make Save File Thumbnail
+//=============================================================================
+DataManager.makeSavefileThumbnail = function() {
+  // Snap the map directly if saving from it, otherwise use the last map snap
+  var snap = SceneManager._scene instanceof Scene_Map ? SceneManager.snap() : SceneManager._saveThumbnailSource;
+  if (!snap) { return null; };
+  // Crop a square around the center of the screen (where the player is)
+  var size = Math.min(snap.width, snap.height, 240);
+  var bitmap = new Bitmap(100, 100);
+  bitmap.blt(snap, (snap.width - size) / 2, (snap.height - size) / 2, size, size, 0, 0, 100, 100);
+  return bitmap.canvas.toDataURL('image/jpeg', 0.8);
+};
+//=============================================================================
+// * Check if Save File Information matches a search query
+//=============================================================================
+// Terms are space separated and all of them must match. A term can be
+// limited to a single field with a prefix, like "tag:boss" or "map:kitchen".
+//=============================================================================
+DataManager.savefileInfoMatches = function(info, query) {
+  if (!info) { return false; };
+  var fields = {
+    name: [info.saveName, info.actorData ? info.actorData.name : ""],
+    chapter: [info.chapter],
+    location: [info.location],
+    map: [info.mapName],
+    tag: info.tags || []
+  };
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(function(term) {
+    var separator = term.indexOf(':');
+    var keys = Object.keys(fields);
+    if (separator > 0 && fields[term.slice(0, separator)]) {
+      keys = [term.slice(0, separator)];
+      term = term.slice(separator + 1);
+    };
+    return keys.some(function(key) {
+      return fields[key].some(function(value) {
+        return value !== null && value !== undefined && String(value).toLowerCase().contains(term);
+      });
+    });
+  });
+};
+
+//=============================================================================
+// ** SceneManager
+//-----------------------------------------------------------------------------
+// The static class that manages scene transitions.
+//=============================================================================
+// Alias Listing
+//=============================================================================
+if (!_TDS_.OmoriSaveLoad.SceneManager_snapForBackground) {
+    _TDS_.OmoriSaveLoad.SceneManager_snapForBackground = SceneManager.snapForBackground;
+}
+//=============================================================================
+// * Snap For Background
+//=============================================================================
+SceneManager.snapForBackground = function() {
+  // Keep an unblurred copy of the map to use as a save thumbnail
+  if (this._scene instanceof Scene_Map) { this._saveThumbnailSource = this.snap(); };
+  _TDS_.OmoriSaveLoad.SceneManager_snapForBackground.call(this);
+};
 
 
 //=============================================================================
@@ -139,6 +528,9 @@ Scene_OmoriFile.prototype.initialize = function() {
   this._canSave = true; this._canLoad = true;
   this._move = false;
   this._moveSelection = 0;
+  // Search Query & Matching Save Indexes
+  this._searchQuery = "";
+  this._searchMatches = null;
 
 
   let globalInfo = DataManager.loadGlobalInfo();
@@ -382,7 +774,7 @@ Scene_OmoriFile.prototype.update = function() {
   // Update Select Input
   if (this._canSelect) { 
     this._commandHints.alpha = 1;
-    if(Input.isPressed('shift')){
+    if(Input.isPressed('shift') && !this._searchMatches){
       this.onSelectInputShift();
     }
     else{
@@ -538,6 +930,12 @@ Scene_OmoriFile.prototype.updateSelectInput = function() {
     this.onSelectInputCancel();
     return;
   };
+
+  // If Searching only move between matching files
+  if (this._searchMatches) {
+    this.updateSearchSelectInput();
+    return;
+  };
   
   /*if (Input.isRepeated('shift')) {
     // On Select Input Cancel
@@ -591,6 +989,26 @@ Scene_OmoriFile.prototype.updateSelectInput = function() {
   this.updatePlacement();
 };
 
+//=============================================================================
+// * Update Select Input while Searching
+//=============================================================================
+Scene_OmoriFile.prototype.updateSearchSelectInput = function() {
+  var step = 0;
+  if (Input.isRepeated('left')) { step = -1; }
+  else if (Input.isRepeated('right')) { step = 1; }
+  else if (Input.isRepeated('up')) { step = -this._columns; }
+  else if (Input.isRepeated('down')) { step = this._columns; };
+  if (step === 0 || this._searchMatches.length < 2) {
+    this.updatePlacement();
+    return;
+  };
+  SoundManager.playCursor();
+  var rank = this._searchMatches.indexOf(this._saveIndex);
+  this._saveIndex = this._searchMatches[(rank + step).mod(this._searchMatches.length)];
+  // Update Save Index Cursor
+  this.updateSaveIndexCursor();
+};
+
 Scene_OmoriFile.prototype.updatePlacement = function() {
   if(this._saveIndex < 0) {return;}
   let boundsX = this.isOutOfBoundsX();
@@ -615,6 +1033,10 @@ Scene_OmoriFile.prototype.onCommandWindowOk = function() {
       this.onSelectInputCancel();
     }
 
+  }else if(currentSelection === 'search'){
+    this.searchFiles();
+  }else if(currentSelection === 'import'){
+    this.prepareImport();
   }else{ //if not cloud save
     // Set Can select Flag to true
     this._canSelect = true;
@@ -622,6 +1044,10 @@ Scene_OmoriFile.prototype.onCommandWindowOk = function() {
     let latestFile = !!this._canSave ? DataManager.lastAccessedSavefileId() : DataManager.latestSavefileId();
     let maxSavefiles = DataManager.maxSavefiles();
     this._saveIndex = (latestFile - 1) % maxSavefiles;
+    // If the file is filtered out start on the first match instead
+    if (this._searchMatches && !this._searchMatches.contains(this._saveIndex)) {
+      this._saveIndex = this._searchMatches[0];
+    };
     // Update Save Index Cursor
     this.updateSaveIndexCursor();
   }
@@ -744,6 +1170,22 @@ Scene_OmoriFile.prototype.onSelectInputOk = function() {
       // Play Buzzer Sound
       SoundManager.playBuzzer();
     };
+  } else if (currentSelection === 'tags'){
+    // If File Exists
+    if (StorageManager.exists(saveFileid)) {
+      this.editTags();
+    } else {
+      // Play Buzzer Sound
+      SoundManager.playBuzzer();
+    };
+  } else if (currentSelection === 'export'){
+    // If File Exists
+    if (StorageManager.exists(saveFileid)) {
+      this.exportGame();
+    } else {
+      // Play Buzzer Sound
+      SoundManager.playBuzzer();
+    };
   } 
 };
 
@@ -954,6 +1396,14 @@ Scene_OmoriFile.prototype.onPromptWindowOk = function() {
     this.renameFile();
     // Set Can select Flag to true
     this._canSelect = true;
+  }else if (currentSelection === 'export'){
+    // Open the folder the file was exported to
+    nw.Shell.openItem(this._exportFolder);
+    this._promptWindow.close();
+    this._promptWindow.deactivate();
+    this._canSelect = true;
+  }else if (currentSelection === 'import'){
+    this.importGame();
   }
 };
 //=============================================================================
@@ -963,6 +1413,13 @@ Scene_OmoriFile.prototype.onPromptWindowCancel = function() {
   // Close Prompt Window
   this._promptWindow.close();
   this._promptWindow.deactivate();
+  this._migrationProblemsAccepted = false;
+  // Import is started from the command window
+  if (this._commandWindow.currentData().symbol === 'import') {
+    this._importFolder = null;
+    this._commandWindow.activate();
+    return;
+  };
   if(omoDelete){
     omoDelete = false;
     var id = this.savefileId();
@@ -1059,6 +1516,197 @@ Scene_OmoriFile.prototype.renameFile = function() {
   this._statWindow.updateStats(valid, info[id], id);
   // Set Can select Flag to false
   this._canSelect = true;
+  this.refreshSearch();
+};
+
+Scene_OmoriFile.prototype.editTags = function() {
+  var id = this.savefileId();
+  var info = DataManager.loadGlobalInfo();
+  var tags = prompt("Tags for this file (comma separated):", (info[id].tags || []).join(", "));
+  // If the prompt was cancelled
+  if (tags === null) { return; };
+  info[id].tags = tags.split(",").map(function(tag) { return tag.trim(); }).filter(Boolean);
+  AudioManager.playStaticSe({"name":"GEN_shine","pan":0,"pitch":100,"volume":90});
+  DataManager.saveGlobalInfo(info);
+  this.refreshSearch();
+};
+//=============================================================================
+// * Export Game
+//=============================================================================
+Scene_OmoriFile.prototype.exportGame = function() {
+  const fs = require('fs');
+  const path = require("path");
+  const base = path.dirname(process.mainModule.filename);
+
+  var id = this.savefileId();
+  var folder = prompt("Export this file to which folder?", `${base}/save/exports`);
+  // If the prompt was cancelled
+  if (folder === null || folder.trim() === "") { return; };
+  var info = DataManager.loadGlobalInfo()[id];
+  var name = `file${id}_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  var target = path.join(folder.trim(), name);
+  try {
+    fs.mkdirSync(target, { recursive: true });
+    fs.copyFileSync(`${base}/save/file${id}.rpgsave`, path.join(target, 'save.rpgsave'));
+    fs.writeFileSync(path.join(target, 'manifest.json'), JSON.stringify({
+      title: $dataSystem.gameTitle,
+      file: id,
+      exported: Date.now(),
+      saveVersion: info && info.saveVersion !== undefined ? info.saveVersion : DataManager.saveVersion(),
+      mods: DataManager.installedMods(),
+      info: info
+    }, null, 2));
+  } catch (e) {
+    console.error(e);
+    SoundManager.playBuzzer();
+    return;
+  };
+  AudioManager.playStaticSe({"name":"GEN_shine","pan":0,"pitch":100,"volume":90});
+  this._exportFolder = target;
+  this._canSelect = false;
+  this.showPromptWindow('Exported! Open the folder?');
+};
+//=============================================================================
+// * Prepare Import (read manifest and confirm)
+//=============================================================================
+Scene_OmoriFile.prototype.prepareImport = function() {
+  const fs = require('fs');
+  const path = require("path");
+  const base = path.dirname(process.mainModule.filename);
+
+  var folder = prompt("Import the exported file from which folder?", `${base}/save/exports`);
+  // If the prompt was cancelled
+  if (folder === null || folder.trim() === "") {
+    this._commandWindow.activate();
+    return;
+  };
+  folder = folder.trim();
+  var manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(folder, 'manifest.json'), 'utf-8'));
+    if (!fs.existsSync(path.join(folder, 'save.rpgsave'))) { throw new Error('save.rpgsave is missing'); };
+  } catch (e) {
+    console.error(e);
+    SoundManager.playBuzzer();
+    this._commandWindow.activate();
+    return;
+  };
+  if (this.freeSavefileId() === 0) {
+    SoundManager.playBuzzer();
+    this._commandWindow.activate();
+    return;
+  };
+  this._importFolder = folder;
+  this._importManifest = manifest;
+  var warnings = DataManager.compareInstalledMods(manifest.mods || {});
+  if (warnings.length > 0) {
+    this.showPromptWindow(['The mods differ from this save:'].concat(warnings, 'Import anyway?').join('\n'));
+  } else {
+    this.showPromptWindow('Import this file?');
+  };
+};
+//=============================================================================
+// * Get first free save file ID (0 if none)
+//=============================================================================
+Scene_OmoriFile.prototype.freeSavefileId = function() {
+  var globalInfo = DataManager.loadGlobalInfo();
+  for (var id = 1; id <= DataManager.maxSavefiles(); id++) {
+    // Skip the secret file
+    if (id === 44) { continue; };
+    if (!globalInfo[id] && !StorageManager.exists(id)) { return id; };
+  };
+  return 0;
+};
+//=============================================================================
+// * Import Game
+//=============================================================================
+Scene_OmoriFile.prototype.importGame = function() {
+  const fs = require('fs');
+  const path = require("path");
+  const base = path.dirname(process.mainModule.filename);
+
+  this._promptWindow.close();
+  this._promptWindow.deactivate();
+  var id = this.freeSavefileId();
+  try {
+    fs.copyFileSync(path.join(this._importFolder, 'save.rpgsave'), `${base}/save/file${id}.rpgsave`);
+  } catch (e) {
+    console.error(e);
+    SoundManager.playBuzzer();
+    this._commandWindow.activate();
+    return;
+  };
+  var data = DataManager.loadGlobalInfo();
+  data[id] = this._importManifest.info || { globalId: DataManager._globalId, title: $dataSystem.gameTitle, timestamp: Date.now() };
+  DataManager.saveGlobalInfo(data);
+  this._importFolder = null;
+  this._importManifest = null;
+  AudioManager.playStaticSe({"name":"GEN_shine","pan":0,"pitch":100,"volume":90});
+  this._fileWindows[id - 1].refresh(true, data[id], id);
+  this.refreshSearch();
+  this._commandWindow.activate();
+};
+//=============================================================================
+// * Search Files
+//=============================================================================
+Scene_OmoriFile.prototype.searchFiles = function() {
+  var query = prompt("Search files by name, chapter, location, map or tag (e.g. tag:boss). Leave empty to show all files.", this._searchQuery);
+  // If the prompt was cancelled
+  if (query === null) {
+    this._commandWindow.activate();
+    return;
+  };
+  this.applySearch(query.trim());
+  this._commandWindow.activate();
+  if (this._searchMatches && this._searchMatches.length === 0) {
+    SoundManager.playBuzzer();
+    this.applySearch("");
+  };
+};
+//=============================================================================
+// * Apply Search
+//=============================================================================
+Scene_OmoriFile.prototype.applySearch = function(query) {
+  this._searchQuery = query;
+  var indexes = [];
+  if (query.length > 0) {
+    var globalInfo = DataManager.loadGlobalInfo();
+    for (var i = 0; i < DataManager.maxSavefiles(); i++) {
+      if (DataManager.savefileInfoMatches(globalInfo[i + 1], query)) { indexes.push(i); };
+    };
+    this._searchMatches = indexes;
+  } else {
+    for (var i = 0; i < DataManager.maxSavefiles(); i++) { indexes.push(i); };
+    this._searchMatches = null;
+  };
+  // Hide files that do not match and close the gaps between the others
+  for (var i = 0; i < DataManager.maxSavefiles(); i++) {
+    this._fileWindows[i].visible = indexes.contains(i);
+  };
+  this.layoutFileWindows(indexes);
+};
+//=============================================================================
+// * Refresh Search (after a file changed)
+//=============================================================================
+Scene_OmoriFile.prototype.refreshSearch = function() {
+  if (!this._searchMatches) { return; };
+  this.applySearch(this._searchQuery);
+  // Keep the cursor on a visible file
+  if (this._canSelect && this._searchMatches.length > 0 && !this._searchMatches.contains(this._saveIndex)) {
+    this._saveIndex = this._searchMatches[0];
+    this.updateSaveIndexCursor();
+  };
+};
+//=============================================================================
+// * Layout File Windows
+//=============================================================================
+Scene_OmoriFile.prototype.layoutFileWindows = function(indexes) {
+  let sx = 183; //this._commandWindow.x + this._commandWindow.width + 1
+  for (var i = 0; i < indexes.length; i++) {
+    var win = this._fileWindows[indexes[i]];
+    win.x = sx + (i%this._columns * (win.width));
+    win.y = 28 + Math.floor(i/this._columns)*(win.height);
+  };
 };
 
 Scene_OmoriFile.prototype.swapGame = function() {
@@ -1090,6 +1738,7 @@ Scene_OmoriFile.prototype.swapGame = function() {
   window2.refresh(true, data[id2], id2);
   window1.refresh(true, data[id1], id1);
   this.updateSaveIndexCursor();
+  this.refreshSearch();
         
   fs.rename(path1,tempPath,() => {
     fs.rename(path2,path1,() => {
@@ -1130,6 +1779,7 @@ Scene_OmoriFile.prototype.moveGame = function() {
   window1.refresh(false, data[id1], id1);
   
   this._statWindow.updateStats(true, data[id2], id2);
+  this.refreshSearch();
 
   //i swap even tho theres no file cus what if there is a file tho
   //i dont wanna overwrite someones hard work
@@ -1157,23 +1807,37 @@ Scene_OmoriFile.prototype.deleteGame = function() {
   var valid = DataManager.isThisGameFile(id);
   var info = DataManager.loadSavefileInfo(id);
   fileWindow.refresh(valid, info, id);
+  this.refreshSearch();
 }
 //=============================================================================
 // * Load Game
 //=============================================================================
 Scene_OmoriFile.prototype.loadGame = function() {
+  // Keep the current game to go back to if the player cancels the load
+  var currentContents = JsonEx.stringify(DataManager.makeSaveContents());
   if (DataManager.loadGame(this.savefileId())) {
-
-    SoundManager.playLoad();
-    this.fadeOutAll();
     // Reload Map if Updated
     if ($gameSystem.versionId() !== $dataSystem.versionId) {
       $gamePlayer.reserveTransfer($gameMap.mapId(), $gamePlayer.x, $gamePlayer.y);
       $gamePlayer.requestMapReload();
     };
+    // Update the save to the current save version
+    var problems = DataManager.migrateSave();
+    if (problems.length > 0 && !this._migrationProblemsAccepted) {
+      DataManager.extractSaveContents(JsonEx.parse(currentContents));
+      SoundManager.playBuzzer();
+      this._migrationProblemsAccepted = true;
+      this.showPromptWindow(['This save could not be fully updated:'].concat(problems, 'Load anyway?').join('\n'));
+      return;
+    };
+    this._migrationProblemsAccepted = false;
+
+    SoundManager.playLoad();
+    this.fadeOutAll();
     SceneManager.goto(Scene_Map);
     var info = DataManager.loadSavefileInfo(this.savefileId());
     $gameSystem.saveName = info.saveName;
+    $gameSystem.saveTags = info.tags || [];
     this._loadSuccess = true;
     // Close Prompt Window
     this._promptWindow.close();
@@ -1348,12 +2012,16 @@ Window_OmoriFileInformation.prototype.refresh = function(valid, info, id) {
     let height = 100;
     // this.contents.blt(backBitmap, 0, 0, width, height, 0, 34, width + 10, height);
     bgLocation = getBackground(info.location);
+    this._thumbnail = null;
+    this._selectedBG.bitmap = backBitmap;
     this.contents.blt(backBitmap, width*bgLocation[0], height*bgLocation[1], width, height, 1, 33); //width*n, height*m controls background
     this._selectedBG.setFrame(width*bgLocation[0], height*bgLocation[1], width, height);
     // Get Actor
     var actor = info.actorData;
+    // Draw the save thumbnail over the location background if there is one
+    if (info.thumbnail) { this.drawThumbnail(info); };
     // Draw Actor Face
-    this.drawFace(actor.faceName, 0, -2, this.contents.height - Window_Base._faceHeight + 7, Window_Base._faceWidth, height - 2);
+    this.drawFace(actor.faceName, actor.faceIndex || 0, -2, this.contents.height - Window_Base._faceHeight + 7, Window_Base._faceWidth, height - 2);
     this._faceSprite.actor = actor;
     if(omoDelete)this._faceSprite.setAnimRow(3);
     else this._faceSprite.setAnimRow(0);
@@ -1371,6 +2039,7 @@ Window_OmoriFileInformation.prototype.refresh = function(valid, info, id) {
     this.contents.drawText('LOCATION:', 118, 80, 200, 24);
     this.contents.drawText(info.location, 205, 80, 210, 24, 'right');
   }else{
+    this._thumbnail = null;
     this._faceSprite.visible = false;
     this._selectedBG.visible = false;
   };
@@ -1383,6 +2052,26 @@ Window_OmoriFileInformation.prototype.refresh = function(valid, info, id) {
 
 
 
+//=============================================================================
+// * Draw Thumbnail
+//=============================================================================
+Window_OmoriFileInformation.prototype.drawThumbnail = function(info) {
+  var bitmap = ImageManager.loadNormalBitmap(info.thumbnail, 0);
+  this._thumbnail = info.thumbnail;
+  this._selectedBG.bitmap = bitmap;
+  this._selectedBG.setFrame(0, 0, 100, 100);
+  bitmap.addLoadListener(function() {
+    // Skip if the window was refreshed with another file in the meantime
+    if (this._thumbnail !== info.thumbnail) { return; };
+    this.contents.blt(bitmap, 0, 0, 100, 100, 1, 33);
+    // Draw the face again on top of the thumbnail
+    this.drawFace(info.actorData.faceName, info.actorData.faceIndex || 0, -2, this.contents.height - Window_Base._faceHeight + 7, Window_Base._faceWidth, 98);
+  }.bind(this));
+};
+
+
+
+
 //=============================================================================
 // ** Window_OmoriFileCommand
 //-----------------------------------------------------------------------------
@@ -1406,7 +2095,7 @@ Window_OmoriFileCommand.prototype.initialize = function() {
 Window_OmoriFileCommand.prototype.isUsingCustomCursorRectSprite = function() { return true; };
 Window_OmoriFileCommand.prototype.lineHeight = function () { return 24; };
 Window_OmoriFileCommand.prototype.windowWidth = function () { return 140; };
-Window_OmoriFileCommand.prototype.windowHeight = function () { return this._list.length*24+ 19; };
+Window_OmoriFileCommand.prototype.windowHeight = function () { return Math.min(this._list.length, 6)*24+ 19; };
 Window_OmoriFileCommand.prototype.standardPadding = function () { return 4; };
 Window_OmoriFileCommand.prototype.numVisibleRows = function () { return 4; };
 Window_OmoriFileCommand.prototype.maxCols = function () { return 1; };
@@ -1431,9 +2120,13 @@ Window_OmoriFileCommand.prototype.makeCommandList = function () {
   this.addCommand("LOAD", 'load', this._canLoad);
   this.addCommand("MOVE", 'move', this._canLoad);
   this.addCommand("RENAME", 'rename', this._canLoad);
+  this.addCommand("TAGS", 'tags', this._canLoad);
   if(window.OMORI_CLOUD_SAVE !== undefined) this.addCommand("CLOUD",'cloud',window.OMORI_CLOUD_SAVE);
   
   this.addCommand("DELETE",'delete',this._canLoad);
+  this.addCommand("EXPORT",'export',this._canLoad);
+  this.addCommand("IMPORT",'import',this._canLoad);
+  this.addCommand("SEARCH",'search');
 };
 
 
@@ -1491,21 +2184,37 @@ Object.defineProperty(Window.prototype, 'openness', {
 //=============================================================================
 Window_OmoriFilePrompt.prototype.isUsingCustomCursorRectSprite = function() { return true; };
 Window_OmoriFilePrompt.prototype.lineHeight = function () { return 22; };
-Window_OmoriFilePrompt.prototype.windowWidth = function () { return 220; };
-Window_OmoriFilePrompt.prototype.windowHeight = function () { return 70 + 20; };
+Window_OmoriFilePrompt.prototype.windowWidth = function () { return this.extraLines() > 0 ? 460 : 220; };
+Window_OmoriFilePrompt.prototype.windowHeight = function () { return 70 + 20 + this.extraLines() * 24; };
+Window_OmoriFilePrompt.prototype.extraLines = function () { return this._promptText ? this._promptText.split('\n').length - 1 : 0; };
+Window_OmoriFilePrompt.prototype.maxPromptLines = function () { return 12; };
 Window_OmoriFilePrompt.prototype.standardPadding = function () { return 4; };
 Window_OmoriFilePrompt.prototype.numVisibleRows = function () { return 2; };
 Window_OmoriFilePrompt.prototype.maxCols = function () { return 1; };
 Window_OmoriFilePrompt.prototype.customCursorRectXOffset = function() { return 50; }
-Window_OmoriFilePrompt.prototype.customCursorRectYOffset = function() { return 33; }
+Window_OmoriFilePrompt.prototype.customCursorRectYOffset = function() { return 33 + this.extraLines() * 24; }
 Window_OmoriFilePrompt.prototype.customCursorRectTextXOffset = function() { return 80; }
-Window_OmoriFilePrompt.prototype.customCursorRectTextYOffset = function() { return 28; }
+Window_OmoriFilePrompt.prototype.customCursorRectTextYOffset = function() { return 28 + this.extraLines() * 24; }
 //=============================================================================
 // * Setup File
 //=============================================================================
 Window_OmoriFilePrompt.prototype.setPromptText = function (text) {
+  // Long lists keep their first and last lines so the choices stay on screen
+  var lines = text.split('\n');
+  var max = this.maxPromptLines();
+  if (lines.length > max) {
+    var hidden = lines.length - max + 1;
+    lines = lines.slice(0, max - 2).concat('...and ' + hidden + ' more', lines[lines.length - 1]);
+  };
   // Set Prompt Text
-  this._promptText = text;
+  this._promptText = lines.join('\n');
+  // Resize to fit every line of text
+  if (this.width !== this.windowWidth() || this.height !== this.windowHeight()) {
+    this.move((Graphics.width - this.windowWidth()) / 2, (Graphics.height - this.windowHeight()) / 2, this.windowWidth(), this.windowHeight());
+    this.createContents();
+    this._coverSprite.x = -this.x;
+    this._coverSprite.y = -this.y;
+  };
   // Refresh Contents
   this.refresh();
 };
@@ -1522,7 +2231,10 @@ Window_OmoriFilePrompt.prototype.makeCommandList = function () {
 Window_OmoriFilePrompt.prototype.refresh = function () {
   // Super Call
   Window_Command.prototype.refresh.call(this);
-  this.contents.drawText(this._promptText, 0, 0, this.contents.width, 24, 'center');
+  var lines = (this._promptText || '').split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    this.contents.drawText(lines[i], 0, i * 24, this.contents.width, 24, 'center');
+  };
   
 }
 
@@ -21,6 +21,54 @@ _TDS_AutoQuest_.QuestMenu = _TDS_AutoQuest_.QuestMenu || {};
  * @desc Automatically refresh quests when quest menu opens.
  * @default true
  *
+ * @param Quest Database YAML
+ * @desc Name of the YAML file with quest definitions. Leave empty to only use questDatabase.
+ * @default quest_database
+ *
+ * @param Stage Notifications
+ * @desc Show a notification on the map when a quest moves to a new stage, is completed or failed.
+ * @type boolean
+ * @default true
+ *
+ * @param Quest Tracker
+ * @desc Show the pinned quest and its current objective on the map.
+ * @type boolean
+ * @default false
+ *
+ * @param Tracker X
+ * @parent Quest Tracker
+ * @type number
+ * @default 10
+ *
+ * @param Tracker Y
+ * @parent Quest Tracker
+ * @type number
+ * @default 10
+ *
+ * @param Tracker Width
+ * @parent Quest Tracker
+ * @type number
+ * @default 280
+ *
+ * @param Tracker Opacity
+ * @parent Quest Tracker
+ * @desc Opacity of the tracker window (0-255). The text always stays visible.
+ * @type number
+ * @min 0
+ * @max 255
+ * @default 192
+ *
+ * @param Tracker Hide During Messages
+ * @parent Quest Tracker
+ * @type boolean
+ * @default true
+ *
+ * @param Tracker Hide During Cutscenes
+ * @parent Quest Tracker
+ * @desc Hide the tracker while an event is running.
+ * @type boolean
+ * @default true
+ *
  * @help
  * ============================================================================
  * * Plugin Commands
@@ -30,6 +78,14 @@ _TDS_AutoQuest_.QuestMenu = _TDS_AutoQuest_.QuestMenu || {};
  *
  *    RefreshQuests
  *
+ *  Pin a quest to the quest tracker, or unpin it:
+ *
+ *    PinQuest FindCat
+ *    UnpinQuest
+ *
+ *  Players can also pin or unpin the selected quest with SHIFT in the quest
+ *  menu. The pin is saved with the game.
+ *
  * ============================================================================
  * * Quest Database Setup
  * ============================================================================
@@ -45,6 +101,46 @@ _TDS_AutoQuest_.QuestMenu = _TDS_AutoQuest_.QuestMenu || {};
  *   (first is start, second is completion)
  *
  * ============================================================================
+ * * Quest Database YAML
+ * ============================================================================
+ *
+ * Quests can also be defined in the YAML file set in the Quest Database YAML
+ * parameter (quest_database.yaml by default). Quests from the YAML file come
+ * before questDatabase ones with the same id. Everything from questDatabase
+ * works there too, along with stages, failing and rewards:
+ *
+ * FindCat:
+ *   name: Find the Lost Cat
+ *   world: 2
+ *   unlockSwitch: 1998
+ *   failSwitch: 2004              # Optional, fails the quest when ON
+ *   stages:
+ *     - description: QUESTS.catfindstart
+ *       objectives:
+ *         - text: Look in the park
+ *           switch: 2010
+ *         - text: Ask around
+ *           variable: 30          # Met when variable 30 >= 5
+ *           op: ">="              # ==, !=, >, >=, <, <= (>= by default)
+ *           value: 5              # 1 by default
+ *         - text: Find the bell
+ *           switch: 2011
+ *           optional: true        # Not needed to finish the stage
+ *     - description: QUESTS.catreturn
+ *       objectives:
+ *         - text: Bring the cat home
+ *           switch: 2012
+ *   completeDescription: QUESTS.complete
+ *   failDescription: QUESTS.catfailed
+ *   rewards:
+ *     gold: 100
+ *     items: {5: 2}               # Item id: amount, weapons and armors work the same
+ *
+ * The current stage is the first one with objectives left to do. The quest
+ * is complete once every stage is done (or completionSwitch is ON), which
+ * grants the rewards once. Failed quests go to the completed list.
+ *
+ * ============================================================================
  * * Quest Yaml Setup
  * ============================================================================
  *
@@ -79,6 +175,15 @@ _TDS_AutoQuest_.QuestMenu = _TDS_AutoQuest_.QuestMenu || {};
 var parameters = PluginManager.parameters("Omori Quest Menu - Auto Quest Extension");
 _TDS_AutoQuest_.QuestMenu.params = {};
 _TDS_AutoQuest_.QuestMenu.params.autoRefresh = String(parameters['Auto Refresh On Menu Open'] || 'true') === 'true';
+_TDS_AutoQuest_.QuestMenu.params.databaseYaml = String(parameters['Quest Database YAML'] === undefined ? 'quest_database' : parameters['Quest Database YAML']);
+_TDS_AutoQuest_.QuestMenu.params.notifications = String(parameters['Stage Notifications'] || 'true') === 'true';
+_TDS_AutoQuest_.QuestMenu.params.tracker = String(parameters['Quest Tracker'] || 'false') === 'true';
+_TDS_AutoQuest_.QuestMenu.params.trackerX = Number(parameters['Tracker X'] || 10);
+_TDS_AutoQuest_.QuestMenu.params.trackerY = Number(parameters['Tracker Y'] || 10);
+_TDS_AutoQuest_.QuestMenu.params.trackerWidth = Number(parameters['Tracker Width'] || 280);
+_TDS_AutoQuest_.QuestMenu.params.trackerOpacity = Number(parameters['Tracker Opacity'] === undefined ? 192 : parameters['Tracker Opacity']);
+_TDS_AutoQuest_.QuestMenu.params.trackerHideMessages = String(parameters['Tracker Hide During Messages'] || 'true') === 'true';
+_TDS_AutoQuest_.QuestMenu.params.trackerHideCutscenes = String(parameters['Tracker Hide During Cutscenes'] || 'true') === 'true';
 
 //=============================================================================
 // ** Quest Database - Built into Plugin
@@ -122,6 +227,37 @@ _TDS_AutoQuest_.QuestMenu.questDatabase = [
     // Add more quests here as needed...
 ];
 
+//=============================================================================
+// * Get Quest Database - YAML quests first, then questDatabase
+//=============================================================================
+_TDS_AutoQuest_.QuestMenu.database = function() {
+    if (this._database) { return this._database; }
+    var yamlFile = this.params.databaseYaml;
+    var yaml = yamlFile ? LanguageManager.languageData().text[yamlFile] : null;
+    var database = [];
+    if (yaml) {
+        for (var id in yaml) {
+            database.push(Object.assign({ id: id, world: 1 }, yaml[id]));
+        }
+    }
+    // Keep questDatabase quests that the YAML file doesn't replace
+    this.questDatabase.forEach(function(questDef) {
+        if (!database.some(function(q) { return q.id === questDef.id; })) { database.push(questDef); }
+    });
+    // The YAML file is only there once the language data is loaded
+    if (!yamlFile || yaml) { this._database = database; }
+    return database;
+};
+
+//=============================================================================
+// * Quest Notification Text
+//=============================================================================
+_TDS_AutoQuest_.QuestMenu.notificationText = {
+    updated: "QUEST UPDATED",
+    complete: "QUEST COMPLETE",
+    failed: "QUEST FAILED"
+};
+
 //=============================================================================
 // ** Game_Party - Auto Quest Extension
 //=============================================================================
@@ -143,13 +279,41 @@ Game_Party.prototype.initialize = function() {
     if (this._questStandByMessage === undefined) {
         this._questStandByMessage = null;
     }
+    // Quest shown in the quest tracker
+    this._pinnedQuestId = null;
+};
+
+//=============================================================================
+// * NEW: Pin Quest (null to unpin)
+//=============================================================================
+Game_Party.prototype.pinQuest = function(id) {
+    this._pinnedQuestId = id || null;
+};
+
+//=============================================================================
+// * NEW: Pinned Quest
+//=============================================================================
+Game_Party.prototype.pinnedQuest = function() {
+    var id = this._pinnedQuestId;
+    return id ? this._questList.find(function(q) { return q.id === id; }) || null : null;
+};
+
+//=============================================================================
+// * NEW: Current Objective of a Quest (first one left to do)
+//=============================================================================
+Game_Party.prototype.autoQuestCurrentObjective = function(quest) {
+    var questDef = this.getAutoQuestDefinition(quest.id);
+    if (!questDef || !questDef.stages || quest.complete || quest.stage >= questDef.stages.length) { return null; }
+    var objectives = questDef.stages[quest.stage].objectives || [];
+    var objective = objectives.find(function(o) { return !o.optional && !this.isAutoQuestObjectiveMet(o); }, this);
+    return objective ? objective.text : null;
 };
 
 //=============================================================================
 // * NEW: Refresh Auto Quests - FIXED VERSION
 //=============================================================================
 Game_Party.prototype.refreshAutoQuests = function() {
-    var database = _TDS_AutoQuest_.QuestMenu.questDatabase;
+    var database = _TDS_AutoQuest_.QuestMenu.database();
     
     database.forEach(function(questDef) {
         var unlockSwitch = questDef.unlockSwitch;
@@ -157,14 +321,18 @@ Game_Party.prototype.refreshAutoQuests = function() {
         
         // If unlock switch is ON
         if ($gameSwitches.value(unlockSwitch)) {
+            var isNew = !this.hasQuest(questDef.id, false);
             // Add quest if not already added
-            if (!this.hasQuest(questDef.id, false)) {
+            if (isNew) {
                 // Create Quest Object directly
                 var quest = {
                     id: questDef.id, 
                     messageIndex: 0, 
                     world: questDef.world, 
-                    complete: false
+                    complete: false,
+                    stage: 0,
+                    failed: false,
+                    rewarded: false
                 };
                 // Add Quest to Quest List
                 this._questList.push(quest);
@@ -173,12 +341,30 @@ Game_Party.prototype.refreshAutoQuests = function() {
             var currentQuest = this._questList.find(function(q) { return q.id === questDef.id; });
             
             if (currentQuest) {
-                // Set completion state based on completion switch
-                var isComplete = $gameSwitches.value(completionSwitch);
-                this.setQuestCompleteState(questDef.id, isComplete);
+                var stages = questDef.stages || [];
+                var stage = this.autoQuestStage(questDef);
+                var failed = !!questDef.failSwitch && $gameSwitches.value(questDef.failSwitch);
+                // Set completion state based on completion switch or finished stages
+                var isComplete = !failed && (!!completionSwitch && $gameSwitches.value(completionSwitch) || (stages.length > 0 && stage >= stages.length));
+                if (!isNew) {
+                    if (failed && !currentQuest.failed) {
+                        this.notifyAutoQuest(questDef, 'failed');
+                    } else if (isComplete && !currentQuest.complete) {
+                        this.notifyAutoQuest(questDef, 'complete');
+                    } else if (!isComplete && !failed && stage > (currentQuest.stage || 0)) {
+                        this.notifyAutoQuest(questDef, 'updated');
+                    }
+                }
+                currentQuest.stage = stage;
+                currentQuest.failed = failed;
+                this.setQuestCompleteState(questDef.id, isComplete || failed);
+                if (isComplete && !currentQuest.rewarded) {
+                    currentQuest.rewarded = true;
+                    this.gainAutoQuestRewards(questDef);
+                }
                 
                 // Auto-set message index based on completion
-                if (isComplete && questDef.descriptionCodes.length > 1) {
+                if (isComplete && questDef.descriptionCodes && questDef.descriptionCodes.length > 1) {
                     this.setQuestMessageIndex(questDef.id, questDef.descriptionCodes.length - 1);
                 }
             }
@@ -193,7 +379,69 @@ Game_Party.prototype.refreshAutoQuests = function() {
 // Get Auto Quest Definition
 //=============================================================================
 Game_Party.prototype.getAutoQuestDefinition = function(questId) {
-    return _TDS_AutoQuest_.QuestMenu.questDatabase.find(function(q) { return q.id === questId; });
+    return _TDS_AutoQuest_.QuestMenu.database().find(function(q) { return q.id === questId; });
+};
+
+//=============================================================================
+// * NEW: Is Quest Objective Met
+//=============================================================================
+Game_Party.prototype.isAutoQuestObjectiveMet = function(objective) {
+    if (objective.switch !== undefined) {
+        return $gameSwitches.value(objective.switch);
+    }
+    if (objective.variable !== undefined) {
+        var value = $gameVariables.value(objective.variable);
+        var target = objective.value === undefined ? 1 : objective.value;
+        switch (objective.op || '>=') {
+            case '==': return value == target;
+            case '!=': return value != target;
+            case '>':  return value > target;
+            case '<':  return value < target;
+            case '<=': return value <= target;
+            default:   return value >= target;
+        }
+    }
+    return false;
+};
+
+//=============================================================================
+// * NEW: Current Quest Stage (stages.length once every stage is done)
+//=============================================================================
+Game_Party.prototype.autoQuestStage = function(questDef) {
+    var stages = questDef.stages || [];
+    for (var i = 0; i < stages.length; i++) {
+        var objectives = stages[i].objectives || [];
+        var done = objectives.every(function(objective) {
+            return objective.optional || this.isAutoQuestObjectiveMet(objective);
+        }, this);
+        if (!done) { return i; }
+    }
+    return stages.length;
+};
+
+//=============================================================================
+// * NEW: Gain Quest Rewards
+//=============================================================================
+Game_Party.prototype.gainAutoQuestRewards = function(questDef) {
+    var rewards = questDef.rewards;
+    if (!rewards) { return; }
+    if (rewards.gold) { this.gainGold(Number(rewards.gold)); }
+    var tables = { items: $dataItems, weapons: $dataWeapons, armors: $dataArmors };
+    for (var key in tables) {
+        for (var id in rewards[key] || {}) {
+            var item = tables[key][Number(id)];
+            if (item) { this.gainItem(item, Number(rewards[key][id])); }
+        }
+    }
+};
+
+//=============================================================================
+// * NEW: Notify Quest Change
+//=============================================================================
+Game_Party.prototype.notifyAutoQuest = function(questDef, type) {
+    if (!_TDS_AutoQuest_.QuestMenu.params.notifications) { return; }
+    $gameTemp._questNotifications = $gameTemp._questNotifications || [];
+    $gameTemp._questNotifications.push({ title: _TDS_AutoQuest_.QuestMenu.notificationText[type], name: questDef.name });
 };
 
 //=============================================================================
@@ -281,6 +529,136 @@ Game_Interpreter.prototype.pluginCommand = function(command, args) {
     if (command === 'RefreshQuests') {
         this.refreshAutoQuests();
     }
+    if (command === 'PinQuest') {
+        $gameParty.pinQuest(args[0]);
+    }
+    if (command === 'UnpinQuest') {
+        $gameParty.pinQuest(null);
+    }
+};
+
+//=============================================================================
+// ** Game_Map - Auto Quest Extension
+//=============================================================================
+
+// Alias original refresh method
+_TDS_AutoQuest_.QuestMenu.Game_Map_refresh = Game_Map.prototype.refresh;
+
+//=============================================================================
+// * Refresh - Extended to follow quest stages as switches and variables change
+//=============================================================================
+Game_Map.prototype.refresh = function() {
+    _TDS_AutoQuest_.QuestMenu.Game_Map_refresh.call(this);
+    $gameParty.refreshAutoQuests();
+};
+
+//=============================================================================
+// ** Window_OmoriQuestNotification
+//-----------------------------------------------------------------------------
+// Shows quest stage changes on the map, one after the other.
+//=============================================================================
+function Window_OmoriQuestNotification() { this.initialize.apply(this, arguments); };
+Window_OmoriQuestNotification.prototype = Object.create(Window_Base.prototype);
+Window_OmoriQuestNotification.prototype.constructor = Window_OmoriQuestNotification;
+
+Window_OmoriQuestNotification.prototype.initialize = function() {
+    var width = this.windowWidth();
+    Window_Base.prototype.initialize.call(this, Graphics.width - width - 10, 10, width, this.fittingHeight(2));
+    this.openness = 0;
+    this._duration = 0;
+};
+
+Window_OmoriQuestNotification.prototype.windowWidth = function() { return 300; };
+Window_OmoriQuestNotification.prototype.standardPadding = function() { return 8; };
+
+Window_OmoriQuestNotification.prototype.update = function() {
+    Window_Base.prototype.update.call(this);
+    if (this._duration > 0) {
+        if (--this._duration === 0) { this.close(); }
+        return;
+    }
+    var queue = $gameTemp._questNotifications;
+    if (this.isClosed() && queue && queue.length > 0) {
+        this.show(queue.shift());
+    }
+};
+
+Window_OmoriQuestNotification.prototype.show = function(notification) {
+    this.contents.clear();
+    this.contents.fontSize = 20;
+    this.drawText(notification.title, 0, 0, this.contentsWidth(), 'center');
+    this.contents.fontSize = 24;
+    this.drawText(notification.name, 0, this.lineHeight(), this.contentsWidth(), 'center');
+    this._duration = 180;
+    this.open();
+};
+
+// Alias original createAllWindows method
+_TDS_AutoQuest_.QuestMenu.Scene_Map_createAllWindows = Scene_Map.prototype.createAllWindows;
+
+//=============================================================================
+// * Create All Windows - Extended
+//=============================================================================
+Scene_Map.prototype.createAllWindows = function() {
+    _TDS_AutoQuest_.QuestMenu.Scene_Map_createAllWindows.call(this);
+    if (_TDS_AutoQuest_.QuestMenu.params.tracker) {
+        this._questTrackerWindow = new Window_OmoriQuestTracker();
+        this.addChild(this._questTrackerWindow);
+    }
+    this._questNotificationWindow = new Window_OmoriQuestNotification();
+    this.addChild(this._questNotificationWindow);
+};
+
+//=============================================================================
+// ** Window_OmoriQuestTracker
+//-----------------------------------------------------------------------------
+// Shows the pinned quest and its current objective on the map.
+//=============================================================================
+function Window_OmoriQuestTracker() { this.initialize.apply(this, arguments); };
+Window_OmoriQuestTracker.prototype = Object.create(Window_Base.prototype);
+Window_OmoriQuestTracker.prototype.constructor = Window_OmoriQuestTracker;
+
+Window_OmoriQuestTracker.prototype.initialize = function() {
+    var params = _TDS_AutoQuest_.QuestMenu.params;
+    Window_Base.prototype.initialize.call(this, params.trackerX, params.trackerY, params.trackerWidth, this.fittingHeight(2));
+    this.opacity = params.trackerOpacity;
+    this._text = null;
+    this._refreshCount = 0;
+    this.refresh();
+};
+
+Window_OmoriQuestTracker.prototype.standardPadding = function() { return 8; };
+
+Window_OmoriQuestTracker.prototype.update = function() {
+    Window_Base.prototype.update.call(this);
+    // Objectives only change with switches and variables, no need to look every frame
+    if (++this._refreshCount >= 10) {
+        this._refreshCount = 0;
+        this.refresh();
+    }
+    this.visible = !!this._text && !this.isHiddenByGame();
+};
+
+Window_OmoriQuestTracker.prototype.isHiddenByGame = function() {
+    var params = _TDS_AutoQuest_.QuestMenu.params;
+    if (params.trackerHideMessages && $gameMessage.isBusy()) { return true; }
+    if (params.trackerHideCutscenes && $gameMap.isEventRunning()) { return true; }
+    return false;
+};
+
+Window_OmoriQuestTracker.prototype.refresh = function() {
+    var quest = $gameParty.pinnedQuest();
+    var questDef = quest && !quest.complete ? $gameParty.getAutoQuestDefinition(quest.id) : null;
+    var objective = questDef ? $gameParty.autoQuestCurrentObjective(quest) : null;
+    var text = questDef ? questDef.name + '\n' + (objective || '') : null;
+    if (text === this._text) { return; }
+    this._text = text;
+    this.contents.clear();
+    if (!questDef) { return; }
+    this.contents.fontSize = 24;
+    this.drawText(questDef.name, 0, 0, this.contentsWidth());
+    this.contents.fontSize = 20;
+    if (objective) { this.drawText(objective, 0, this.lineHeight(), this.contentsWidth()); }
 };
 
 //=============================================================================
@@ -306,6 +684,24 @@ if (typeof Scene_OmoriQuest !== 'undefined') {
         _TDS_AutoQuest_.QuestMenu.Scene_OmoriQuest_create.call(this);
     };
 
+    // Alias original update method
+    _TDS_AutoQuest_.QuestMenu.Scene_OmoriQuest_update = Scene_OmoriQuest.prototype.update;
+
+    //=============================================================================
+    // * Update - Extended to pin or unpin the selected quest with SHIFT
+    //=============================================================================
+    Scene_OmoriQuest.prototype.update = function() {
+        _TDS_AutoQuest_.QuestMenu.Scene_OmoriQuest_update.call(this);
+        var listWindow = this._questListWindow;
+        if (listWindow && listWindow.active && Input.isTriggered('shift')) {
+            var quest = listWindow._questList && listWindow._questList[listWindow._index];
+            if (!quest) { return; }
+            $gameParty.pinQuest($gameParty._pinnedQuestId === quest.id ? null : quest.id);
+            SoundManager.playCursor();
+            listWindow.refresh();
+        }
+    };
+
     // Alias original onQuestListOk method
     _TDS_AutoQuest_.QuestMenu.Scene_OmoriQuest_onQuestListOk = Scene_OmoriQuest.prototype.onQuestListOk;
     
@@ -363,6 +759,12 @@ Scene_OmoriQuest.prototype.onQuestListOk = function() {
     }
   }
 
+  // Add the objectives of the current stage under the description
+  var objectives = this._questListWindow.selectedQuestObjectives();
+  for (var o = 0; o < objectives.length; o++) {
+    $gameMessage.add(objectives[o]);
+  };
+
   // Clear Message List
   this._messageWindow.clearMessageList();
   for (var i = 1; i < messages.length; i++) {
@@ -403,6 +805,18 @@ if (typeof Window_OmoriQuestList !== 'undefined') {
         // Try to get description codes from auto quest database first
         var autoQuestDef = $gameParty.getAutoQuestDefinition(quest.id);
         
+        if (autoQuestDef && autoQuestDef.stages) {
+            // Use the description of the current stage, or the ending one
+            var stages = autoQuestDef.stages;
+            if (quest.failed) {
+                return [autoQuestDef.failDescription || stages[Math.min(quest.stage, stages.length - 1)].description];
+            }
+            if (quest.stage >= stages.length) {
+                return [autoQuestDef.completeDescription || stages[stages.length - 1].description];
+            }
+            return [stages[quest.stage].description];
+        }
+        
         if (autoQuestDef && autoQuestDef.descriptionCodes) {
             // Use YAML codes from auto quest database
             var messageIndex = Math.min(quest.messageIndex, autoQuestDef.descriptionCodes.length - 1);
@@ -415,6 +829,21 @@ if (typeof Window_OmoriQuestList !== 'undefined') {
         return _TDS_AutoQuest_.QuestMenu.Window_OmoriQuestList_selectedQuestMessages.call(this, index);
     };
     
+    //=============================================================================
+    // * NEW: Get Selected Quest Objectives - one line per objective of the current stage
+    //=============================================================================
+    Window_OmoriQuestList.prototype.selectedQuestObjectives = function(index = this._index) {
+        var quest = this._questList && this._questList[index];
+        if (!quest || quest.failed) { return []; }
+        var autoQuestDef = $gameParty.getAutoQuestDefinition(quest.id);
+        if (!autoQuestDef || !autoQuestDef.stages || quest.stage >= autoQuestDef.stages.length) { return []; }
+        var objectives = autoQuestDef.stages[quest.stage].objectives || [];
+        return objectives.map(function(objective) {
+            var mark = $gameParty.isAutoQuestObjectiveMet(objective) ? '[X] ' : '[ ] ';
+            return mark + objective.text + (objective.optional ? ' (OPTIONAL)' : '');
+        });
+    };
+    
     //=============================================================================
     // * Make Command List - Extended for Auto Quests
     //=============================================================================
@@ -430,8 +859,8 @@ if (typeof Window_OmoriQuestList !== 'undefined') {
                 var questName;
                 
                 if (autoQuestDef) {
-                    // Use name from auto quest database
-                    questName = autoQuestDef.name;
+                    // Use name from auto quest database, marking the pinned quest
+                    questName = ($gameParty._pinnedQuestId === quest.id ? '* ' : '') + autoQuestDef.name;
                 } else {
                     // Fall back to original method for non-auto quests
                     return _TDS_AutoQuest_.QuestMenu.Window_OmoriQuestList_makeCommandList.call(this);
@@ -1,6 +1,6 @@
 //=============================================================================
 // KOFFIN Music Player
-// Version: 1.1
+// Version: 1.3
 //=============================================================================
 // Add to Imported List
 var Imported = Imported || {};
@@ -39,6 +39,20 @@ KOFFIN.MusicPlayer = KOFFIN.MusicPlayer || {};
  *   - Menu Background Change: In a track's definition, add a property "menu" with the image name.
  *     When that track is selected, the menu background will update to that image.
  *     e.g., { name: "Built to Scale", bgm: "00 BGM_BUILTTOSCALE", description: "Vex's battle theme.", menu: "MENU_2", unlockSwitch: 2001 }
+ *   - Playlists: Add a "playlists" entry to the YAML (see the example below). The first playlist
+ *     is always every track, Q and W (Page Up / Page Down) switch between them.
+ *   - Play Modes: SHIFT switches between In Order, Repeat All, Repeat One and Shuffle.
+ *     Tracks with "loop: false" play once, then the next track of the playlist starts
+ *     following the mode, even after the menu is closed.
+ *   - Now Playing: The window under the description shows the playing track with its elapsed
+ *     and total time. LEFT and RIGHT seek by KOFFIN.MusicPlayer.seekStep seconds.
+ *   - Unlock On Hear: Set KOFFIN.MusicPlayer.unlockOnHear to true to unlock a track the first time
+ *     its BGM plays anywhere in the game, instead of needing an unlockSwitch for each one.
+ *     Tracks with an unlockSwitch also unlock when their switch is on. Heard BGMs are saved with
+ *     the options, so they stay unlocked in every save file. Tracks heard since the music player
+ *     was last opened are marked with KOFFIN.MusicPlayer.newText.
+ *   - Map Toast: When music keeps playing on close, the map shows the track name for a moment
+ *     after closing the menu and every time the next track starts.
  * ---------------------------------------------------------------------------
  */
 /*
@@ -59,6 +73,14 @@ soundtrack:
       unlockSwitch: 122
       # These are the list of possible world values a song can appear in. World Value is variable 22 [1-DW,2-FA,3-WS,4-BS,5-FinalOmori]. 0 or exclusion makes it appear in all worlds.
       world: 0
+      # false plays the song once, then moves on to the next one. Exclusion makes it loop.
+      loop: false
+    playlists:
+      Battle: #This name doesn't matter either.
+        # This is the name shown in the music player.
+        name: Battle Themes
+        # These are the names of the tracks above, in order.
+        tracks: [Title]
 */
 
 //=============================================================================
@@ -69,6 +91,13 @@ KOFFIN.MusicPlayer.transparentWindowBorders   = false;              // true = re
 KOFFIN.MusicPlayer.backgroundImage            = "";                 // Default background image (from img/pictures); leave "" for none.
 KOFFIN.MusicPlayer.keepMusicOnClose           = true;              // true = keep music playing on close; false = simulate "Turn Off".
 KOFFIN.MusicPlayer.yaml                       = "prl_sys_soundtrack"; // The YAML to obtain when getting song info.
+KOFFIN.MusicPlayer.allTracksName              = "ALL TRACKS";       // Name of the playlist holding every track.
+KOFFIN.MusicPlayer.modeNames                  = { normal: "IN ORDER", repeatAll: "REPEAT ALL", repeatOne: "REPEAT ONE", shuffle: "SHUFFLE" };
+KOFFIN.MusicPlayer.seekStep                   = 5;                  // Seconds skipped by LEFT and RIGHT.
+KOFFIN.MusicPlayer.toastText                  = "Now playing: %1";  // Text of the map toast; "" disables it.
+KOFFIN.MusicPlayer.toastDuration              = 180;                // Frames the map toast stays on screen.
+KOFFIN.MusicPlayer.unlockOnHear               = false;              // true = tracks unlock the first time their BGM plays.
+KOFFIN.MusicPlayer.newText                    = "NEW";              // Marker of tracks heard but not seen in the music player yet.
 
 //=============================================================================
 // Define Music Tracks
@@ -76,13 +105,203 @@ KOFFIN.MusicPlayer.yaml                       = "prl_sys_soundtrack"; // The YAM
 var MusicPlayerTracks = [
     //{ name: "Turn Off", bgm: "default", description: "Reverts to the map's background music.", unlockSwitch: 0 },
 ]
+var MusicPlayerPlaylists = [
+    { name: KOFFIN.MusicPlayer.allTracksName, tracks: MusicPlayerTracks }
+]
 if (KOFFIN.MusicPlayer.yaml) {
-    var tracks = Object.values(LanguageManager.getMessageData(KOFFIN.MusicPlayer.yaml))
-    for (let i = 1;i < tracks.length;i++) {
-        MusicPlayerTracks.push(tracks[i])
-    }
+    var soundtrack = LanguageManager.getMessageData(KOFFIN.MusicPlayer.yaml)
+    // header, headerSize and playlists aren't tracks
+    Object.keys(soundtrack).forEach(function(key) {
+        if (soundtrack[key] && soundtrack[key].bgm) {
+            MusicPlayerTracks.push(soundtrack[key])
+        }
+    })
+    Object.keys(soundtrack.playlists || {}).forEach(function(key) {
+        var playlist = soundtrack.playlists[key]
+        var tracks = (playlist.tracks || []).map(function(name) {
+            if (!soundtrack[name] || !soundtrack[name].bgm) console.warn("[Music Player] Playlist " + key + " has no track " + name)
+            return soundtrack[name]
+        }).filter(function(track) { return track && track.bgm })
+        MusicPlayerPlaylists.push({ name: playlist.name || key, tracks: tracks })
+    })
 }
 
+//=============================================================================
+// Playback
+//=============================================================================
+KOFFIN.MusicPlayer.modes    = ["normal", "repeatAll", "repeatOne", "shuffle"];
+KOFFIN.MusicPlayer.mode     = "normal";
+KOFFIN.MusicPlayer.playlist = 0;    // Playlist shown in the menu.
+KOFFIN.MusicPlayer.queue    = [];   // Tracks the next one is picked from.
+KOFFIN.MusicPlayer.current  = null; // Track playing from the music player, null once something else plays.
+
+KOFFIN.MusicPlayer.nextMode = function() {
+    var index = this.modes.indexOf(this.mode);
+    this.mode = this.modes[(index + 1) % this.modes.length];
+};
+
+// Plays a track, the next one is then picked from the queue.
+KOFFIN.MusicPlayer.play = function(track, queue) {
+    this.queue = (queue || [track]).filter(function(item) { return item.bgm !== "default"; });
+    if (track.bgm === "default") {
+        this.current = null;
+        if ($dataMap && $dataMap.bgm && $dataMap.bgm.name) {
+            AudioManager.playBgm($dataMap.bgm);
+        } else {
+            AudioManager.stopBgm();
+        }
+        return;
+    }
+    var bgm = { name: track.bgm, pan: 0, pitch: 100, volume: 90 };
+    // playBgm doesn't restart the track that's already playing
+    var restart = AudioManager.isCurrentBgm(bgm);
+    AudioManager.playBgm(bgm);
+    if (AudioManager._bgmBuffer && (restart || track.loop === false)) {
+        AudioManager._bgmBuffer.play(track.loop !== false, 0);
+    }
+    this.current = track;
+    this._buffer = AudioManager._bgmBuffer;
+    this._started = false;
+    if (!(SceneManager._scene instanceof Scene_MusicPlayer)) this.showToast(track);
+};
+
+// Called when a track that doesn't loop ends.
+KOFFIN.MusicPlayer.playNext = function() {
+    var queue = this.queue;
+    var index = queue.indexOf(this.current);
+    var next = null;
+    switch (this.mode) {
+        case "repeatOne":
+            next = this.current;
+            break;
+        case "shuffle":
+            var others = queue.length > 1 ? queue.filter(function(track) { return track !== this.current; }, this) : queue;
+            next = others[Math.randomInt(others.length)];
+            break;
+        case "repeatAll":
+            next = queue[(index + 1) % queue.length];
+            break;
+        default:
+            next = queue[index + 1];
+    }
+    if (next) {
+        this.play(next, queue);
+    } else {
+        this.current = null;
+    }
+};
+
+// The WebAudio buffer of the track playing from the music player, or null.
+KOFFIN.MusicPlayer.buffer = function() {
+    var current = AudioManager._currentBgm;
+    if (!this.current || !current || current.name !== this.current.bgm || AudioManager._bgmBuffer !== this._buffer) {
+        return null;
+    }
+    return this._buffer;
+};
+
+// Elapsed and total time of the playing track, in seconds.
+KOFFIN.MusicPlayer.elapsed = function() {
+    var buffer = this.buffer();
+    return buffer && buffer.isPlaying() ? buffer.seek() : 0;
+};
+
+KOFFIN.MusicPlayer.duration = function() {
+    var buffer = this.buffer();
+    return buffer && buffer.isReady() ? buffer._totalTime || 0 : 0;
+};
+
+KOFFIN.MusicPlayer.seek = function(seconds) {
+    var buffer = this.buffer();
+    if (!buffer || !buffer.isPlaying()) return false;
+    var position = (buffer.seek() + seconds).clamp(0, Math.max(0, this.duration() - 1));
+    buffer.play(buffer._loop, position);
+    return true;
+};
+
+KOFFIN.MusicPlayer.update = function() {
+    if (!this.current) return;
+    var buffer = this.buffer();
+    if (!buffer) {
+        // The map, a battle or an event changed the music
+        this.current = null;
+    } else if (buffer.isPlaying()) {
+        this._started = true;
+    } else if (this._started) {
+        this.playNext();
+    }
+};
+
+KOFFIN.MusicPlayer.showToast = function(track) {
+    if (this.keepMusicOnClose && this.toastText) this._toastTrack = track;
+};
+
+KOFFIN.MusicPlayer.formatTime = function(seconds) {
+    seconds = Math.floor(seconds);
+    return Math.floor(seconds / 60) + ":" + (seconds % 60).padZero(2);
+};
+
+//=============================================================================
+// Heard Tracks
+//=============================================================================
+// BGM name => false when heard, true once seen in the music player
+ConfigManager.musicPlayerHeard = {};
+
+KOFFIN.MusicPlayer.ConfigManager_makeData = ConfigManager.makeData;
+ConfigManager.makeData = function() {
+    var config = KOFFIN.MusicPlayer.ConfigManager_makeData.call(this);
+    config.musicPlayerHeard = this.musicPlayerHeard;
+    return config;
+};
+
+KOFFIN.MusicPlayer.ConfigManager_applyData = ConfigManager.applyData;
+ConfigManager.applyData = function(config) {
+    KOFFIN.MusicPlayer.ConfigManager_applyData.call(this, config);
+    this.musicPlayerHeard = config.musicPlayerHeard || {};
+};
+
+KOFFIN.MusicPlayer.AudioManager_playBgm = AudioManager.playBgm;
+AudioManager.playBgm = function(bgm, pos) {
+    KOFFIN.MusicPlayer.AudioManager_playBgm.call(this, bgm, pos);
+    if (bgm && bgm.name && !ConfigManager.musicPlayerHeard.hasOwnProperty(bgm.name)) {
+        ConfigManager.musicPlayerHeard[bgm.name] = false;
+        ConfigManager.save();
+    }
+};
+
+KOFFIN.MusicPlayer.isHeard = function(track) {
+    return ConfigManager.musicPlayerHeard.hasOwnProperty(track.bgm);
+};
+
+KOFFIN.MusicPlayer.isNew = function(track) {
+    return this.unlockOnHear && ConfigManager.musicPlayerHeard[track.bgm] === false;
+};
+
+KOFFIN.MusicPlayer.isUnlocked = function(track) {
+    if (this.unlockOnHear && track.bgm !== "default") {
+        return this.isHeard(track) || (!!track.unlockSwitch && $gameSwitches.value(track.unlockSwitch));
+    }
+    return !track.unlockSwitch || $gameSwitches.value(track.unlockSwitch);
+};
+
+// Clears the NEW marker of the tracks shown in the music player
+KOFFIN.MusicPlayer.markSeen = function(tracks) {
+    var changed = false;
+    tracks.forEach(function(track) {
+        if (ConfigManager.musicPlayerHeard[track.bgm] === false) {
+            ConfigManager.musicPlayerHeard[track.bgm] = true;
+            changed = true;
+        }
+    });
+    if (changed) ConfigManager.save();
+};
+
+KOFFIN.MusicPlayer.SceneManager_updateScene = SceneManager.updateScene;
+SceneManager.updateScene = function() {
+    KOFFIN.MusicPlayer.SceneManager_updateScene.call(this);
+    KOFFIN.MusicPlayer.update();
+};
+
 //=============================================================================
 // Scene_MusicPlayer
 //=============================================================================
@@ -106,6 +325,7 @@ Scene_MusicPlayer.prototype.create = function() {
     this.createHeaderWindow();
     this.createItemListWindow();
     this.createHelpWindow();
+    this.createProgressWindow();
 };
 
 Scene_MusicPlayer.prototype.createBackground = function() {
@@ -137,6 +357,8 @@ Scene_MusicPlayer.prototype.createItemListWindow = function() {
     this._itemListWindow.y = this._headerWindow.height;
     this._itemListWindow.setHandler('ok', this.onItemListOk.bind(this));
     this._itemListWindow.setHandler('cancel', this.popScene.bind(this));
+    this._itemListWindow.setHandler('pageup', this.onPlaylistChange.bind(this, -1));
+    this._itemListWindow.setHandler('pagedown', this.onPlaylistChange.bind(this, 1));
     this.addChild(this._itemListWindow);
 };
 
@@ -148,25 +370,48 @@ Scene_MusicPlayer.prototype.createHelpWindow = function() {
     this._itemListWindow.setHelpWindow(this._helpWindow);
 };
 
+Scene_MusicPlayer.prototype.createProgressWindow = function() {
+    this._progressWindow = new Window_MusicPlayerProgress();
+    this._progressWindow.x = Graphics.boxWidth / 2;
+    this._progressWindow.y = this._helpWindow.y + this._helpWindow.height;
+    this.addChild(this._progressWindow);
+};
+
 Scene_MusicPlayer.prototype.start = function() {
     Scene_Base.prototype.start.call(this);
     this._itemListWindow.refresh();
     this._itemListWindow.activate();
+    this._seenTracks = [];
+};
+
+Scene_MusicPlayer.prototype.update = function() {
+    Scene_Base.prototype.update.call(this);
+    if (this._itemListWindow.active) {
+        if (Input.isTriggered('shift')) {
+            SoundManager.playCursor();
+            KOFFIN.MusicPlayer.nextMode();
+        } else if (Input.isRepeated('left') && KOFFIN.MusicPlayer.seek(-KOFFIN.MusicPlayer.seekStep)) {
+            SoundManager.playCursor();
+        } else if (Input.isRepeated('right') && KOFFIN.MusicPlayer.seek(KOFFIN.MusicPlayer.seekStep)) {
+            SoundManager.playCursor();
+        }
+    }
+};
+
+Scene_MusicPlayer.prototype.onPlaylistChange = function(direction) {
+    var count = MusicPlayerPlaylists.length;
+    this._seenTracks = this._seenTracks.concat(this._itemListWindow._data);
+    KOFFIN.MusicPlayer.playlist = (KOFFIN.MusicPlayer.playlist + direction + count) % count;
+    this._itemListWindow.refresh();
+    this._itemListWindow.select(0);
+    this._itemListWindow.activate();
 };
 
 Scene_MusicPlayer.prototype.onItemListOk = function() {
     var track = this._itemListWindow.item();
     if (track) {
-        // Play the selected track's BGM (or map's autoplay if "Turn Off")
-        if (track.bgm === "default") {
-            if ($dataMap && $dataMap.bgm && $dataMap.bgm.name) {
-                AudioManager.playBgm($dataMap.bgm);
-            } else {
-                AudioManager.stopBgm();
-            }
-        } else {
-            AudioManager.playBgm({ name: track.bgm, pan: 0, pitch: 100, volume: 90 });
-        }
+        // Play the selected track's BGM (or map's autoplay if "Turn Off"), the rest of the list plays after it
+        KOFFIN.MusicPlayer.play(track, this._itemListWindow._data);
         // Update the menu background.
         if (track.menu) {
             // If a custom menu background is specified, load that image.
@@ -216,12 +461,17 @@ Scene_MusicPlayer.prototype.popScene = function() {
 
 Scene_MusicPlayer.prototype.terminate = function() {
     Scene_Base.prototype.terminate.call(this);
+    // The NEW markers stay until the menu closes
+    KOFFIN.MusicPlayer.markSeen(this._seenTracks.concat(this._itemListWindow._data));
     if (!KOFFIN.MusicPlayer.keepMusicOnClose) {
+        KOFFIN.MusicPlayer.current = null;
         if ($dataMap && $dataMap.bgm && $dataMap.bgm.name) {
             AudioManager.playBgm($dataMap.bgm);
         } else {
             AudioManager.stopBgm();
         }
+    } else if (KOFFIN.MusicPlayer.buffer()) {
+        KOFFIN.MusicPlayer.showToast(KOFFIN.MusicPlayer.current);
     }
 };
 
@@ -280,11 +530,10 @@ Window_MusicPlayerItemList.prototype.maxItems = function() {
 
 Window_MusicPlayerItemList.prototype.makeItemList = function() {
     var list = new Array()
-    console.log(list)
-    MusicPlayerTracks.forEach(function(track) {
-        console.log(track)
+    var playlist = MusicPlayerPlaylists[KOFFIN.MusicPlayer.playlist] || MusicPlayerPlaylists[0]
+    playlist.tracks.forEach(function(track) {
         if (track) {
-            if (!track.unlockSwitch || $gameSwitches.value(track.unlockSwitch)) { 
+            if (KOFFIN.MusicPlayer.isUnlocked(track)) { 
                 if (!track.world || Number(track.world) === NaN) {
                     list.push(track); 
                 } else {
@@ -292,7 +541,6 @@ Window_MusicPlayerItemList.prototype.makeItemList = function() {
                 }
             }
         }
-        console.log(list)
     })
     this._data = list
 };
@@ -312,6 +560,11 @@ Window_MusicPlayerItemList.prototype.drawItem = function(index) {
     if (track) {
         var rect = this.itemRect(index);
         this.drawText(track.name, rect.x + 4, rect.y, rect.width - 4);
+        if (KOFFIN.MusicPlayer.isNew(track)) {
+            this.changeTextColor(this.textColor(17));
+            this.drawText(KOFFIN.MusicPlayer.newText, rect.x + 4, rect.y, rect.width - 8, "right");
+            this.resetTextColor();
+        }
     }
 };
 
@@ -348,6 +601,94 @@ Window_MusicPlayerHelp.prototype.setText = function(text) {
     this.drawTextEx(text, 4, 0, this.contents.width - 8);
 };
 
+//=============================================================================
+// Window_MusicPlayerProgress
+//=============================================================================
+function Window_MusicPlayerProgress() {
+    this.initialize.apply(this, arguments);
+}
+Window_MusicPlayerProgress.prototype = Object.create(Window_Base.prototype);
+Window_MusicPlayerProgress.prototype.constructor = Window_MusicPlayerProgress;
+
+Window_MusicPlayerProgress.prototype.initialize = function() {
+    var width = Graphics.boxWidth / 2;
+    var height = this.fittingHeight(3);
+    Window_Base.prototype.initialize.call(this, Graphics.boxWidth / 2, 0, width, height);
+    this.contents.fontSize = 20;
+    this._state = "";
+    this.refresh();
+};
+
+Window_MusicPlayerProgress.prototype.update = function() {
+    Window_Base.prototype.update.call(this);
+    this.refresh();
+};
+
+Window_MusicPlayerProgress.prototype.refresh = function() {
+    var player = KOFFIN.MusicPlayer;
+    var track = player.buffer() ? player.current : null;
+    var elapsed = Math.floor(player.elapsed());
+    var duration = Math.floor(player.duration());
+    var playlist = MusicPlayerPlaylists[player.playlist] || MusicPlayerPlaylists[0];
+    // Only redraw when something shown changed
+    var state = [track ? track.name : "", elapsed, duration, playlist.name, player.mode].join("|");
+    if (state === this._state) return;
+    this._state = state;
+    this.contents.clear();
+    var width = this.contents.width - 8;
+    var lineHeight = this.lineHeight();
+    this.drawText(track ? track.name : "-", 4, 0, width);
+    var time = player.formatTime(elapsed) + " / " + player.formatTime(duration);
+    var timeWidth = this.textWidth("00:00 / 00:00");
+    var barWidth = width - timeWidth - 8;
+    var rate = duration > 0 ? Math.min(elapsed / duration, 1) : 0;
+    this.contents.fillRect(4, lineHeight + lineHeight / 2 - 3, barWidth, 6, this.gaugeBackColor());
+    this.contents.fillRect(4, lineHeight + lineHeight / 2 - 3, Math.floor(barWidth * rate), 6, this.normalColor());
+    this.drawText(time, 4 + width - timeWidth, lineHeight, timeWidth, "right");
+    this.drawText(playlist.name, 4, lineHeight * 2, width / 2);
+    this.drawText(player.modeNames[player.mode], 4 + width / 2, lineHeight * 2, width / 2, "right");
+};
+
+//=============================================================================
+// Window_MusicPlayerToast
+//=============================================================================
+function Window_MusicPlayerToast() {
+    this.initialize.apply(this, arguments);
+}
+Window_MusicPlayerToast.prototype = Object.create(Window_Base.prototype);
+Window_MusicPlayerToast.prototype.constructor = Window_MusicPlayerToast;
+
+Window_MusicPlayerToast.prototype.initialize = function() {
+    var width = Graphics.boxWidth / 2;
+    var height = this.fittingHeight(1);
+    Window_Base.prototype.initialize.call(this, Graphics.boxWidth - width, 0, width, height);
+    this.contents.fontSize = 20;
+    this._showCount = 0;
+    this.openness = 0;
+};
+
+Window_MusicPlayerToast.prototype.update = function() {
+    Window_Base.prototype.update.call(this);
+    var track = KOFFIN.MusicPlayer._toastTrack;
+    if (track) {
+        KOFFIN.MusicPlayer._toastTrack = null;
+        this.contents.clear();
+        this.drawText(KOFFIN.MusicPlayer.toastText.format(track.name), 4, 0, this.contents.width - 8, "right");
+        this._showCount = KOFFIN.MusicPlayer.toastDuration;
+        this.open();
+    }
+    if (this._showCount > 0 && --this._showCount === 0) {
+        this.close();
+    }
+};
+
+KOFFIN.MusicPlayer.Scene_Map_createAllWindows = Scene_Map.prototype.createAllWindows;
+Scene_Map.prototype.createAllWindows = function() {
+    KOFFIN.MusicPlayer.Scene_Map_createAllWindows.call(this);
+    this._musicPlayerToastWindow = new Window_MusicPlayerToast();
+    this.addWindow(this._musicPlayerToastWindow);
+};
+
 //=============================================================================
 // Transparent Border Overrides
 //=============================================================================
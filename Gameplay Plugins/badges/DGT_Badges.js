@@ -16,6 +16,8 @@
  * unlocks the badge under the modid and badgeid specified (no notification)
  * // lockbadge modid badgeid
  * locks the badge under the modid and badgeid specified
+ * // addbadgeprogress modid badgeid amount
+ * adds amount (1 by default) to the progress of the badge, unlocking it once its goal is reached
  * 
  * JS Functions:
  * 
@@ -25,6 +27,23 @@
  * same functionality as plugin commands above, but will return true if 'sucessful'; if the user already has the badge and you call unlockbadge, it will return false; likewise, if the user does not have a badge and you call lockbadge, it returns false
  * // DGT.isBadgeUnlocked(modId, badgeName)
  * returns true if the badge is unlocked
+ * // DGT.addBadgeProgress(modId, badgeName, n)
+ * adds n (1 by default, can be negative) to the progress of a badge with a goal, unlocking it (with a notification) once the goal is reached
+ * returns the new progress
+ * // DGT.setBadgeProgress(modId, badgeName, n)
+ * same as above, but sets the progress to n
+ * // DGT.getBadgeProgress(modId, badgeName)
+ * returns the progress of the badge, its goal if it is unlocked
+ * // DGT.badgeGoal(modId, badgeName)
+ * returns the goal of the badge (1 if it has none)
+ * // DGT.impossibleBadgeConditions()
+ * returns every badge whose condition can never be met, as { modId, badgeId, problems }
+ * (the /badges console command lists them)
+ * 
+ * Badge Conditions:
+ * 
+ * a badge with a condition in the yaml unlocks on its own, it is checked about once a second on the map and in battle
+ * see the example yaml file for the format
  * // DGT.totalUnlockedBadges(modId)
  * returns the total number of unlocked badges, if modId is specified, returns the number for that mod only
  * // DGT.totalUnlockedBadges(modId)
@@ -85,9 +104,13 @@
  *  - added a notification queue so badge notifications dont overlap
  * Version 1.4.3b:
  *  - fix recursive function call error thing
+ * Version 1.5.0:
+ *  - add badge goals, addbadgeprogress plugin command and DGT.addBadgeProgress
+ *  - show a progress bar for badges with a goal in the badge menu
+ *  - add badge conditions (switch, variable, enemy, item, weapon, armor, script)
  */
 {
-    const BADGE_VERSION = '1.4.3b'
+    const BADGE_VERSION = '1.5.0'
 
     window.DGT = window.DGT || {}
     window.DGT.Badges = window.DGT.Badges || {}
@@ -141,6 +164,9 @@
                     DGT.Badges._userData = JSON.parse(data)
                 }
                 DGT.Badges._userData.examplemod = {}
+                // badge progress is stored next to the unlocks, as { modId: { badgeId: progress } }
+                DGT.Badges._userData._progress = DGT.Badges._userData._progress || {}
+                DGT.Badges._userData._progress.examplemod = {}
             }
             loadUserData()
             function saveUserData() {
@@ -172,6 +198,7 @@
                             for (let badgeId of Object.keys(dataClone)) {
                                 if (badgeId === 'badge_1') { DGT.Badges._userData[modId][badgeId] = true; continue }
                                 if (badgeId !== 'badge_2') { DGT.Badges._userData[modId][badgeId] = !!Math.round(Math.random()) }
+                                if (dataClone[badgeId].goal) { DGT.Badges._userData._progress[modId][badgeId] = Math.floor(Math.random() * dataClone[badgeId].goal) }
                             }
                         }
                         DGT.Badges._data[modId] = dataClone
@@ -230,6 +257,8 @@
                 if (!DGT.Badges._userData[modId]) { DGT.Badges._userData[modId] = {} }
                 let removed = !!DGT.Badges._userData[modId][badgeName]
                 DGT.Badges._userData[modId][badgeName] = false
+                // start over, otherwise the next bit of progress would unlock it again
+                if (DGT.Badges._userData._progress[modId]) { delete DGT.Badges._userData._progress[modId][badgeName] }
                 saveUserData()
                 return removed // will be false if badge was already locked, otherwise true if it was sucessfully removed
             }
@@ -237,6 +266,174 @@
                 let modData = DGT.Badges._userData[modId]
                 return !!(modData && modData[badgeName])
             }
+            DGT.badgeGoal = function (modId, badgeName) {
+                let modData = DGT.Badges._data[modId]
+                if (!modData || !modData[badgeName]) {
+                    DGT.BadgeError(modId, badgeName)
+                    return null
+                }
+                return Math.max(Number(modData[badgeName].goal) || 1, 1)
+            }
+            DGT.getBadgeProgress = function (modId, badgeName) {
+                let goal = DGT.badgeGoal(modId, badgeName)
+                if (goal === null) { return null }
+                if (DGT.isBadgeUnlocked(modId, badgeName)) { return goal }
+                let modProgress = DGT.Badges._userData._progress[modId]
+                return (modProgress && modProgress[badgeName]) || 0
+            }
+            DGT.setBadgeProgress = function (modId, badgeName, n, doNotif = true) {
+                let goal = DGT.badgeGoal(modId, badgeName)
+                if (goal === null) { return null }
+                if (DGT.isBadgeUnlocked(modId, badgeName)) { return goal }
+                let progress = Math.floor(Number(n) || 0).clamp(0, goal)
+                DGT.Badges._userData._progress[modId] = DGT.Badges._userData._progress[modId] || {}
+                DGT.Badges._userData._progress[modId][badgeName] = progress
+                if (progress >= goal) {
+                    DGT.UnlockBadge(modId, badgeName, doNotif) // saves as well
+                } else {
+                    saveUserData()
+                }
+                return progress
+            }
+            DGT.addBadgeProgress = function (modId, badgeName, n = 1, doNotif = true) {
+                let progress = DGT.getBadgeProgress(modId, badgeName)
+                if (progress === null) { return null }
+                return DGT.setBadgeProgress(modId, badgeName, progress + Number(n), doNotif)
+            }
+            DGT.BadgeConditionOperators = {
+                '==': (a, b) => a == b,
+                '!=': (a, b) => a != b,
+                '>': (a, b) => a > b,
+                '>=': (a, b) => a >= b,
+                '<': (a, b) => a < b,
+                '<=': (a, b) => a <= b
+            }
+            DGT.BadgeConditionScripts = {}
+            DGT.badgeConditionScript = function (script) {
+                if (!DGT.BadgeConditionScripts[script]) {
+                    DGT.BadgeConditionScripts[script] = new Function(`return (${script})`)
+                }
+                return DGT.BadgeConditionScripts[script]
+            }
+            // returns the reasons a condition can never be met, empty if it can be
+            DGT.badgeConditionProblems = function (condition) {
+                let problems = []
+                let validId = (id, list) => Number.isInteger(id) && id > 0 && id < list.length && list[id] != null
+                for (let [key, value] of Object.entries(condition)) {
+                    switch (key) {
+                        case 'switch':
+                            if (!validId(value, $dataSystem.switches)) { problems.push(`switch ${value} does not exist`) }
+                            break
+                        case 'variable':
+                            if (!validId(value, $dataSystem.variables)) { problems.push(`variable ${value} does not exist`) }
+                            if (condition.op !== undefined && !DGT.BadgeConditionOperators[condition.op]) { problems.push(`unknown operator ${condition.op}`) }
+                            break
+                        case 'op':
+                        case 'value':
+                            if (condition.variable === undefined) { problems.push(`${key} is only used with variable`) }
+                            break
+                        case 'enemy':
+                            if (!validId(value, $dataEnemies)) { problems.push(`enemy ${value} does not exist`) }
+                            break
+                        case 'item':
+                            if (!validId(value, $dataItems)) { problems.push(`item ${value} does not exist`) }
+                            break
+                        case 'weapon':
+                            if (!validId(value, $dataWeapons)) { problems.push(`weapon ${value} does not exist`) }
+                            break
+                        case 'armor':
+                            if (!validId(value, $dataArmors)) { problems.push(`armor ${value} does not exist`) }
+                            break
+                        case 'script':
+                            try { DGT.badgeConditionScript(value) }
+                            catch (e) { problems.push(`script does not compile: ${e.message}`) }
+                            break
+                        default:
+                            problems.push(`unknown condition ${key}`)
+                    }
+                }
+                return problems
+            }
+            DGT.isBadgeConditionMet = function (condition) {
+                return Object.entries(condition).every(([key, value]) => {
+                    switch (key) {
+                        case 'switch': return $gameSwitches.value(value)
+                        case 'variable': return DGT.BadgeConditionOperators[condition.op || '>='](
+                            $gameVariables.value(value), condition.value === undefined ? 1 : condition.value)
+                        case 'enemy': return !!$gameParty._defeatedEnemies && $gameParty._defeatedEnemies.contains(value)
+                        case 'item': return $gameParty.hasItem($dataItems[value], true)
+                        case 'weapon': return $gameParty.hasItem($dataWeapons[value], true)
+                        case 'armor': return $gameParty.hasItem($dataArmors[value], true)
+                        case 'script': return !!DGT.badgeConditionScript(value)()
+                        default: return true // op and value
+                    }
+                })
+            }
+            DGT.impossibleBadgeConditions = function () {
+                let impossible = []
+                for (let [modId, modData] of Object.entries(DGT.Badges._data)) {
+                    for (let [badgeId, badgeData] of Object.entries(modData)) {
+                        if (!badgeData.condition) { continue }
+                        let problems = typeof badgeData.condition === 'object' ? DGT.badgeConditionProblems(badgeData.condition) : ['condition is not a list of conditions']
+                        if (problems.length > 0) { impossible.push({ modId, badgeId, problems }) }
+                    }
+                }
+                return impossible
+            }
+            DGT.checkBadgeConditions = function () {
+                if (!DGT.Badges._possibleConditions) {
+                    // conditions that can never be met are left out, /badges lists them
+                    let impossible = DGT.impossibleBadgeConditions()
+                    DGT.Badges._possibleConditions = []
+                    for (let [modId, modData] of Object.entries(DGT.Badges._data)) {
+                        for (let [badgeId, badgeData] of Object.entries(modData)) {
+                            if (!badgeData.condition || impossible.some(x => x.modId === modId && x.badgeId === badgeId)) { continue }
+                            DGT.Badges._possibleConditions.push([modId, badgeId, badgeData.condition])
+                        }
+                    }
+                }
+                for (let [modId, badgeId, condition] of DGT.Badges._possibleConditions) {
+                    if (DGT.isBadgeUnlocked(modId, badgeId)) { continue }
+                    let met = false
+                    try { met = DGT.isBadgeConditionMet(condition) }
+                    catch (e) {
+                        // only logged once, the condition is checked every second
+                        let key = `${modId}/${badgeId}`
+                        if (!DGT.Badges._failedConditions[key]) {
+                            DGT.Badges._failedConditions[key] = true
+                            console.error(`Badge condition of ${badgeId} of ${modId} failed:`, e)
+                        }
+                    }
+                    if (met) { DGT.UnlockBadge(modId, badgeId) }
+                }
+            }
+            DGT.Badges._failedConditions = {}
+            DGT.Badges._conditionTimer = 0
+            DGT.Badges.old_SceneManager_updateScene = SceneManager.updateScene
+            SceneManager.updateScene = function () {
+                DGT.Badges.old_SceneManager_updateScene.call(this)
+                if (!(this._scene instanceof Scene_Map || this._scene instanceof Scene_Battle)) { return }
+                if (++DGT.Badges._conditionTimer < 60) { return }
+                DGT.Badges._conditionTimer = 0
+                DGT.checkBadgeConditions()
+            }
+            // the /badges console command, when the console is installed
+            if (window.commands && window.commands.define) {
+                window.commands.define('badges', {
+                    description: 'List badges whose unlock condition can never be met',
+                    args: [],
+                    run: function (handler) {
+                        let impossible = DGT.impossibleBadgeConditions()
+                        if (impossible.length === 0) {
+                            handler.log('Every badge condition can be met')
+                            return
+                        }
+                        for (let { modId, badgeId, problems } of impossible) {
+                            handler.log(`${modId}/${badgeId}: ${problems.join(', ')}`, 'yellow')
+                        }
+                    }
+                })
+            }
             DGT.badgeUnlockRatio = function (modId) {
                 let total = DGT.totalBadges(modId)
                 let unlocked = DGT.totalUnlockedBadges(modId)
@@ -294,6 +491,8 @@
                         return DGT.UnlockBadgeSilent.apply(this, args)
                     case 'lockbadge':
                         return DGT.LockBadge.apply(this, args)
+                    case 'addbadgeprogress':
+                        return DGT.addBadgeProgress(args[0], args[1], args[2] === undefined ? 1 : Number(args[2]))
                     default:
                         return DGT.Badges.old_GameInterpreter_pluginCommand.call(this, command, args)
                 }
@@ -466,6 +665,21 @@
                     this.contents.clear()
                     this.contents.blt(badgeBitmap, 0, 0, sw, sh, 22, 22, 108, 108)
                 }
+                drawProgress(progress, goal, meta) {
+                    // same look as the completion bars of the info window, under the badge
+                    let [bx, by] = [22, 136]
+                    this.contents.fillRect(bx, by, 108, 10, '#AEAEAE')
+                    this.contents.clearRect(bx + 1, by + 1, 106, 8)
+                    let barWidth = Math.floor((progress / goal) * 104).clamp(0, 104)
+                    if (barWidth === 0) { return }
+                    if (progress >= goal) {
+                        let stop1 = meta.full_progress_colorstop_1 || '#FFAEFF'
+                        let stop2 = meta.full_progress_colorstop_2 || '#FFFF88'
+                        this.contents.gradientFillRect(bx + 2, by + 2, barWidth, 6, stop1, stop2)
+                    } else {
+                        this.contents.fillRect(bx + 2, by + 2, barWidth, 6, '#AEAEAE')
+                    }
+                }
                 standardPadding() { return 4 }
                 windowWidth() { return 160 }
                 windowHeight() { return 160 }
@@ -492,6 +706,13 @@
                         this.drawSecretText()
                     }
                 }
+                drawBadgeProgress(progress, goal, secret) {
+                    let text = `${progress} / ${goal}`
+                    this.contents.fontSize = 20
+                    let textxw = this.contents.measureTextWidth(text)
+                    // below the SECRET text if there is one
+                    this.drawText(text, (this.windowWidth() - 23) - textxw, secret ? 35 : 14)
+                }
                 drawSecretText() {
                     let text = 'SECRET'
                     let color = '#C20000'
@@ -623,6 +844,12 @@
                         description = data.data.locked_desc
                     }
                     this._badgeInfoWindow.updateText(name, description, data.modId, data.meta, data.data.secret)
+                    let goal = DGT.badgeGoal(data.modId, data.id)
+                    if (goal > 1) {
+                        let progress = DGT.getBadgeProgress(data.modId, data.id)
+                        this._badgeImageWindow.drawProgress(progress, goal, data.meta)
+                        this._badgeInfoWindow.drawBadgeProgress(progress, goal, data.data.secret)
+                    }
                 }
                 update() {
                     super.update()
@@ -7,6 +7,21 @@
 // $gameTemp.reserveCommonEvent(Injector_Ids.event["COMMON EVENT"]): Runs a common event
 // Enemies require a new plugin.
 
+// REFERENCES BETWEEN INJECTED ENTRIES:
+// IDs inside injected entries that point to another "[I]" entry of the injector files are rewritten to its
+// injected ID. A skill effect adding "[I] Burn" from injector/States.json adds the injected Burn state, a troop
+// page calling "[I] Boss Intro" from injector/CommonEvents.json calls the injected event, and so on.
+// IDs pointing to entries without "[I]" are left alone, so they keep pointing to the base game.
+
+// SEVERAL MODS:
+// Besides the game's injector folder, every mods/<folder>/injector folder is injected too. Each folder's entries
+// are also found under Injector_Ids.mods["<folder>"], like Injector_Ids.mods["my_mod"].skill["SKILL"].
+// If two entries of the same kind share a name, Injector_Ids.skill["SKILL"] keeps the first one and a warning
+// is logged. DataManager.printInjectionReport() lists every injected entry in the devtools console, and
+// DataManager.writeInjectionReport() writes it to injector_report.log (done on every boot in playtest).
+// A folder only needs the files it injects, so the ones it leaves out are listed in the report. A warning is
+// logged for a folder with none of the injector files or nothing to inject, and for files that can't be read.
+
 var Mod_Character = Mod_Character || {};
 var Injector_Ids = Injector_Ids || {};
 
@@ -40,19 +55,93 @@ DataManager.injectCommonEventJson = function() {
     }
 };
 
-DataManager.injectJson = function(filename, data, idname) {
+/**
+ * Injects the "[I]" entries of an injector file.
+ * @param {*} filename The name of the injector file, like "Skills".
+ * @param {*} data The database array to inject into.
+ * @param {*} idname The Injector_Ids map to store the injected IDs in.
+ * @param {*} source The injector folder to read from, from DataManager.injectorSources. The game's one by default.
+ * @returns {boolean} false if the injector folder has no such file.
+ */
+DataManager.injectJson = function(filename, data, idname, source) {
     const fs = require('fs');
     const path = require("path");
     const base = path.dirname(process.mainModule.filename);
-    if (fs.existsSync(`${base}/injector/${filename}.json`)) {
-        let event_json = JSON.parse(fs.readFileSync(`${base}/injector/${filename}.json`, 'utf8'));
-        for (var i = 1; i < event_json.length; i++) {
-            if (event_json[i].name.includes("[I]")) {
-                let name = event_json[i].name.replace("[I] ", "");
-                DataManager.injectGeneric(name, data, event_json[i], idname);
+    source = source || { name: "", path: "injector" };
+    let file = `${source.path}/${filename}.json`;
+    let injectedIds = Mod_Character.injectedIds[source.name] = Mod_Character.injectedIds[source.name] || {};
+    injectedIds[filename] = {};
+    if (!fs.existsSync(`${base}/${file}`)) return false;
+    let modIds = this.injectorModIds(source.name, Mod_Character.injectorFiles[filename]);
+    let event_json;
+    try {
+        event_json = JSON.parse(fs.readFileSync(`${base}/${file}`, 'utf8'));
+    } catch (e) {
+        this.injectorWarning(`${file} could not be read, nothing was injected from it: ${e.message}`);
+        return true;
+    }
+    if (!Array.isArray(event_json)) {
+        this.injectorWarning(`${file} is not a list of database entries, nothing was injected from it.`);
+        return true;
+    }
+    for (var i = 1; i < event_json.length; i++) {
+        if (event_json[i] && typeof event_json[i].name === "string" && event_json[i].name.includes("[I]")) {
+            let name = event_json[i].name.replace("[I] ", "");
+            let previous = idname[name];
+            if (previous !== undefined) {
+                let owner = Mod_Character.injectionReport.find(function (record) {
+                    return record.file.endsWith(`/${filename}.json`) && record.id === previous;
+                });
+                this.injectorWarning(`"${name}" from ${file} has the same name as the one from ${owner ? owner.file : "an earlier injection"}. ` +
+                    `Injector_Ids keeps ID ${previous}, use Injector_Ids.mods["${source.name}"] to get the new one.`);
             }
+            DataManager.injectGeneric(name, data, event_json[i], idname);
+            modIds[name] = event_json[i].id;
+            if (previous !== undefined) idname[name] = previous;
+            // Remember the ID it had in the injector file to rewrite references to it later
+            injectedIds[filename][i] = event_json[i].id;
+            Mod_Character.injectedEntries.push({ source: source.name, filename: filename, data: event_json[i] });
+            Mod_Character.injectionReport.push({ mod: source.name, file: file, name: name, sourceId: i, id: event_json[i].id });
         }
     }
+    return true;
+};
+
+/**
+ * Returns the injector folders, the game's one first and then those of mods/<folder>/injector.
+ * The game's folder has an empty name.
+ */
+DataManager.injectorSources = function () {
+    const fs = require('fs');
+    const path = require("path");
+    const base = path.dirname(process.mainModule.filename);
+    let sources = [];
+    if (fs.existsSync(`${base}/injector`)) {
+        sources.push({ name: "", path: "injector" });
+    }
+    if (fs.existsSync(`${base}/mods`)) {
+        fs.readdirSync(`${base}/mods`).sort().forEach(function (folder) {
+            if (fs.existsSync(`${base}/mods/${folder}/injector`)) {
+                sources.push({ name: folder, path: `mods/${folder}/injector` });
+            }
+        });
+    }
+    return sources;
+};
+
+/**
+ * Returns the Injector_Ids map of a kind of entry for one injector folder.
+ * @param {*} mod The mod folder name, empty for the game's injector folder.
+ * @param {*} kind The kind of entry, like "skill".
+ */
+DataManager.injectorModIds = function (mod, kind) {
+    let ids = Injector_Ids.mods[mod] = Injector_Ids.mods[mod] || {};
+    return ids[kind] = ids[kind] || {};
+};
+
+DataManager.injectorWarning = function (message) {
+    Mod_Character.injectionWarnings.push(message);
+    console.warn(`[Data Injector] ${message}`);
 };
 
 
@@ -87,20 +176,135 @@ Injector_Ids.animation = {
 Injector_Ids.item = {
 };
 
+Injector_Ids.weapon = {
+};
+
+Injector_Ids.armor = {
+};
+
+Injector_Ids.actor = {
+};
+
+Injector_Ids.class = {
+};
+
+Injector_Ids.tileset = {
+};
+
+/**
+ * Injected IDs of every injector folder, by mod folder name.
+ */
+Injector_Ids.mods = {
+};
+
+/**
+ * Injector files in injection order, with the Injector_Ids map each one fills.
+ */
+Mod_Character.injectorFiles = {
+    CommonEvents: "event",
+    Skills: "skill",
+    Troops: "troop",
+    States: "state",
+    Enemies: "enemy",
+    Animations: "animation",
+    Items: "item",
+    Weapons: "weapon",
+    Armors: "armor",
+    Actors: "actor",
+    Classes: "class",
+    Tilesets: "tileset"
+};
+
+/**
+ * Injector file ID => injected ID for every injected entry, by mod folder and file name.
+ * Injected entries are kept to rewrite their references once every file is injected.
+ */
+Mod_Character.injectedIds = {};
+Mod_Character.injectedEntries = [];
+
+/**
+ * Every injected entry as { mod, file, name, sourceId, id }, the warnings logged while injecting,
+ * and the notes (like files a folder doesn't have) that only go in the report.
+ */
+Mod_Character.injectionReport = [];
+Mod_Character.injectionWarnings = [];
+Mod_Character.injectionNotes = [];
+
 Mod_Character.DataManager_isDatabaseLoaded = DataManager.isDatabaseLoaded;
 DataManager.isDatabaseLoaded = function () {
   if (!Mod_Character.DataManager_isDatabaseLoaded.call(this)) return false;
+  // Scene_Boot keeps asking until the fonts are loaded too, only inject once
+  if (Mod_Character.injected) return true;
+  Mod_Character.injected = true;
   //this.injectLucilleData();
-    this.injectJson("CommonEvents", $dataCommonEvents, Injector_Ids.event);
-  this.injectJson("Skills", $dataSkills, Injector_Ids.skill);
-  this.injectJson("Troops", $dataTroops, Injector_Ids.troop);
-  this.injectJson("States", $dataStates, Injector_Ids.state);
-  this.injectJson("Enemies", $dataEnemies, Injector_Ids.enemy);
-  this.injectJson("Animations", $dataAnimations, Injector_Ids.animation);
-  this.injectJson("Items", $dataItems, Injector_Ids.item);
+  this.injectorSources().forEach(function (source) {
+    let missing = [];
+    let injectedBefore = Mod_Character.injectionReport.length;
+    for (let filename in Mod_Character.injectorFiles) {
+      let data = window["$data" + filename];
+      if (!this.injectJson(filename, data, Injector_Ids[Mod_Character.injectorFiles[filename]], source)) {
+        missing.push(`${filename}.json`);
+      }
+    }
+    // Folders only need the files they inject, so each missing file is only noted in the report
+    if (missing.length > 0) {
+      Mod_Character.injectionNotes.push(`${source.path} has no ${missing.join(", ")}.`);
+    }
+    if (missing.length === Object.keys(Mod_Character.injectorFiles).length) {
+      this.injectorWarning(`${source.path} has none of the injector files (${Object.keys(Mod_Character.injectorFiles).join(", ")}).`);
+    } else if (Mod_Character.injectionReport.length === injectedBefore) {
+      this.injectorWarning(`Nothing was injected from ${source.path}, only entries with "[I]" in their name are injected.`);
+    }
+  }, this);
+  this.remapInjectedReferences();
+  if (Utils.isOptionValid('test')) this.writeInjectionReport();
   return true;
 };
 
+/**
+ * Returns the injection report as text, one line per injected entry followed by the warnings and notes.
+ */
+DataManager.injectionReportText = function () {
+    let lines = Mod_Character.injectionReport.map(function (record) {
+        return `${record.file} #${record.sourceId} "${record.name}" => ID ${record.id}`;
+    });
+    if (lines.length === 0) lines.push("Nothing was injected.");
+    if (Mod_Character.injectionWarnings.length > 0) {
+        lines.push("");
+        lines.push("Warnings:");
+        Mod_Character.injectionWarnings.forEach(function (warning) { lines.push(`- ${warning}`); });
+    }
+    if (Mod_Character.injectionNotes.length > 0) {
+        lines.push("");
+        lines.push("Notes:");
+        Mod_Character.injectionNotes.forEach(function (note) { lines.push(`- ${note}`); });
+    }
+    return lines.join("\n");
+};
+
+/**
+ * Prints the injection report to the devtools console.
+ */
+DataManager.printInjectionReport = function () {
+    console.table(Mod_Character.injectionReport);
+    Mod_Character.injectionWarnings.forEach(function (warning) { console.warn(`[Data Injector] ${warning}`); });
+    Mod_Character.injectionNotes.forEach(function (note) { console.log(`[Data Injector] ${note}`); });
+};
+
+/**
+ * Writes the injection report to injector_report.log next to the game.
+ */
+DataManager.writeInjectionReport = function () {
+    const fs = require('fs');
+    const path = require("path");
+    const base = path.dirname(process.mainModule.filename);
+    try {
+        fs.writeFileSync(`${base}/injector_report.log`, this.injectionReportText());
+    } catch (e) {
+        console.warn(`[Data Injector] Could not write injector_report.log: ${e.message}`);
+    }
+};
+
 /**
  * Injects a skill into data skill.
  * @param {*} name The name of the skill associated.
@@ -142,3 +346,183 @@ DataManager.injectLucilleTroopData = function () {
   Mod_Character.extend(troop.pages, base_troop.pages);
 };
 
+/**
+ * Returns the injected ID of an injector file ID, or the ID unchanged if that entry was not injected.
+ * @param {*} source The mod folder name of the injector file, empty for the game's injector folder.
+ * @param {*} filename The injector file the ID points into, like "States".
+ * @param {*} id The ID in the injector file.
+ */
+DataManager.injectedId = function (source, filename, id) {
+    let ids = Mod_Character.injectedIds[source] && Mod_Character.injectedIds[source][filename];
+    return ids && ids[id] !== undefined ? ids[id] : id;
+};
+
+/**
+ * Rewrites the references of every injected entry that point to other injected entries.
+ */
+DataManager.remapInjectedReferences = function () {
+    Mod_Character.injectedEntries.forEach(function (entry) {
+        let data = entry.data;
+        let source = entry.source;
+        switch (entry.filename) {
+            case "Skills":
+            case "Items":
+                data.animationId = this.injectedId(source, "Animations", data.animationId);
+                this.remapInjectedEffects(source, data.effects);
+                break;
+            case "Weapons":
+                data.animationId = this.injectedId(source, "Animations", data.animationId);
+                this.remapInjectedTraits(source, data.traits);
+                break;
+            case "Armors":
+            case "States":
+                this.remapInjectedTraits(source, data.traits);
+                break;
+            case "Enemies":
+                this.remapInjectedTraits(source, data.traits);
+                data.actions.forEach(function (action) {
+                    action.skillId = this.injectedId(source, "Skills", action.skillId);
+                }, this);
+                data.dropItems.forEach(function (drop) {
+                    drop.dataId = this.injectedId(source, [null, "Items", "Weapons", "Armors"][drop.kind], drop.dataId);
+                }, this);
+                break;
+            case "Actors":
+                this.remapInjectedTraits(source, data.traits);
+                data.classId = this.injectedId(source, "Classes", data.classId);
+                let dualWield = this.isInjectedActorDualWield(data);
+                data.equips = data.equips.map(function (id, slot) {
+                    let weapon = slot === 0 || (slot === 1 && dualWield);
+                    return this.injectedId(source, weapon ? "Weapons" : "Armors", id);
+                }, this);
+                break;
+            case "Classes":
+                this.remapInjectedTraits(source, data.traits);
+                data.learnings.forEach(function (learning) {
+                    learning.skillId = this.injectedId(source, "Skills", learning.skillId);
+                }, this);
+                break;
+            case "Troops":
+                data.members.forEach(function (member) {
+                    member.enemyId = this.injectedId(source, "Enemies", member.enemyId);
+                }, this);
+                data.pages.forEach(function (page) {
+                    if (page.conditions.actorValid) page.conditions.actorId = this.injectedId(source, "Actors", page.conditions.actorId);
+                    this.remapInjectedCommands(source, page.list);
+                }, this);
+                break;
+            case "CommonEvents":
+                this.remapInjectedCommands(source, data.list);
+                break;
+        }
+    }, this);
+};
+
+/**
+ * Returns whether an actor has a weapon in its second equip slot, like Game_Actor.prototype.equipSlots.
+ * @param {*} actor The actor data, with its class already remapped.
+ */
+DataManager.isInjectedActorDualWield = function (actor) {
+    let actorClass = $dataClasses[actor.classId];
+    let traits = actor.traits.concat(actorClass ? actorClass.traits : []);
+    return traits.some(function (trait) {
+        return trait.code === Game_BattlerBase.TRAIT_SLOT_TYPE && trait.dataId === 1;
+    });
+};
+
+DataManager.remapInjectedEffects = function (source, effects) {
+    effects.forEach(function (effect) {
+        switch (effect.code) {
+            case Game_Action.EFFECT_ADD_STATE:
+            case Game_Action.EFFECT_REMOVE_STATE:
+                // State 0 is "Normal Attack" and not a reference
+                if (effect.dataId > 0) effect.dataId = this.injectedId(source, "States", effect.dataId);
+                break;
+            case Game_Action.EFFECT_LEARN_SKILL:
+                effect.dataId = this.injectedId(source, "Skills", effect.dataId);
+                break;
+            case Game_Action.EFFECT_COMMON_EVENT:
+                effect.dataId = this.injectedId(source, "CommonEvents", effect.dataId);
+                break;
+        }
+    }, this);
+};
+
+DataManager.remapInjectedTraits = function (source, traits) {
+    traits.forEach(function (trait) {
+        switch (trait.code) {
+            case Game_BattlerBase.TRAIT_STATE_RATE:
+            case Game_BattlerBase.TRAIT_STATE_RESIST:
+            case Game_BattlerBase.TRAIT_ATTACK_STATE:
+                trait.dataId = this.injectedId(source, "States", trait.dataId);
+                break;
+            case Game_BattlerBase.TRAIT_SKILL_ADD:
+            case Game_BattlerBase.TRAIT_SKILL_SEAL:
+                trait.dataId = this.injectedId(source, "Skills", trait.dataId);
+                break;
+        }
+    }, this);
+};
+
+DataManager.remapInjectedCommands = function (source, list) {
+    list.forEach(function (command) {
+        let params = command.parameters;
+        switch (command.code) {
+            case 111: // Conditional Branch
+                if (params[0] === 4) { // Actor
+                    params[1] = this.injectedId(source, "Actors", params[1]);
+                    let filename = [null, null, "Classes", "Skills", "Weapons", "Armors", "States"][params[2]];
+                    if (filename) params[3] = this.injectedId(source, filename, params[3]);
+                } else if (params[0] === 5 && params[2] === 1) { // Enemy state
+                    params[3] = this.injectedId(source, "States", params[3]);
+                } else if (params[0] >= 8 && params[0] <= 10) { // Item, Weapon, Armor
+                    params[1] = this.injectedId(source, ["Items", "Weapons", "Armors"][params[0] - 8], params[1]);
+                }
+                break;
+            case 117: // Common Event
+                params[0] = this.injectedId(source, "CommonEvents", params[0]);
+                break;
+            case 126: // Change Items
+                params[0] = this.injectedId(source, "Items", params[0]);
+                break;
+            case 127: // Change Weapons
+                params[0] = this.injectedId(source, "Weapons", params[0]);
+                break;
+            case 128: // Change Armors
+                params[0] = this.injectedId(source, "Armors", params[0]);
+                break;
+            case 129: // Change Party Member
+                params[0] = this.injectedId(source, "Actors", params[0]);
+                break;
+            case 212: // Show Animation
+            case 337: // Show Battle Animation
+                params[1] = this.injectedId(source, "Animations", params[1]);
+                break;
+            case 282: // Change Tileset
+                params[0] = this.injectedId(source, "Tilesets", params[0]);
+                break;
+            case 301: // Battle Processing (designated troop only)
+                if (params[0] === 0) params[1] = this.injectedId(source, "Troops", params[1]);
+                break;
+            case 302: // Shop Processing
+            case 605: // Shop goods after the first
+                params[1] = this.injectedId(source, ["Items", "Weapons", "Armors"][params[0]], params[1]);
+                break;
+            case 313: // Change State
+            case 318: // Change Skill
+                // Actor 0 is the entire party, and params[0] 1 takes the actor from a variable
+                if (params[0] === 0 && params[1] > 0) params[1] = this.injectedId(source, "Actors", params[1]);
+                params[3] = this.injectedId(source, command.code === 313 ? "States" : "Skills", params[3]);
+                break;
+            case 333: // Change Enemy State
+                params[2] = this.injectedId(source, "States", params[2]);
+                break;
+            case 336: // Enemy Transform
+                params[1] = this.injectedId(source, "Enemies", params[1]);
+                break;
+            case 339: // Force Action
+                params[2] = this.injectedId(source, "Skills", params[2]);
+                break;
+        }
+    }, this);
+};
@@ -1,30 +1,196 @@
 // PUT THIS BEFORE YED_TILED IN THE PLUGINS
 
+// Lets maps use a string ID, like data/MapLucille_House.json with the Tiled map maps/MapLucille_House.json
+// (maps/mapLucille_House.AUBREY when deployed), so mods don't fight over numeric map slots.
+
+// REGISTRY:
+// data/ and every mods/<folder>/data/ folder are scanned for string maps on boot. A string map is only
+// registered if its Tiled map exists in the game folder's maps/, the only place the Tiled loader reads from,
+// even for maps in a mod folder. If two folders both have a map with the same ID, neither gets it and
+// transferring there shows which folders claim it.
+// The registered maps are added to $dataMapInfos under their ID, like $dataMapInfos["Lucille_House"], so
+// map names work in save files and the console. Parallax, encounters and the map name window read $dataMap
+// once the map is loaded, so they work with string IDs without any changes.
+// DataManager.registerStringMap(id, { mod, name, path }) registers a map by hand, path being the map data
+// file relative to the game folder. DataManager.stringMapReport() lists the registered and rejected maps.
+
+// TRANSFERS:
+// $gamePlayer.reserveTransfer("Lucille_House", x, y, direction, fade): Script call
+// Transfer Player with a variable holding "Lucille_House" as the map ID: Event command
+// TransferStringMap Lucille_House x y [direction] [fade]: Plugin command
+// /map Lucille_House [x y]: Console command
+
+DataManager._stringMaps = {};
+DataManager._rejectedStringMaps = {};
+
+/**
+ * Returns whether a map ID is a string map ID, and not a number written as a string.
+ * @param {*} mapId The map ID.
+ */
+DataManager.isStringMapId = function(mapId) {
+    return typeof mapId === "string" && !/^\d+$/.test(mapId);
+};
+
+/**
+ * Registers a string map.
+ * @param {*} mapId The string ID of the map.
+ * @param {*} options mod: the mod folder claiming the map, empty for the game folder.
+ * name: the name in $dataMapInfos, the ID by default.
+ * path: the map data file relative to the game folder, data/Map<ID>.json (.KEL when deployed) by default.
+ * @returns {boolean} false if another mod already claims this ID.
+ */
+DataManager.registerStringMap = function(mapId, options) {
+    options = options || {};
+    let mod = options.mod || "";
+    let rejected = this._rejectedStringMaps[mapId];
+    if (rejected) {
+        if (!rejected.includes(mod)) rejected.push(mod);
+        return false;
+    }
+    let current = this._stringMaps[mapId];
+    if (current && current.mod !== mod) {
+        this._rejectedStringMaps[mapId] = [current.mod, mod];
+        delete this._stringMaps[mapId];
+        if ($dataMapInfos) delete $dataMapInfos[mapId];
+        console.error(`[String Maps] ${this.stringMapOwner(current.mod)} and ${this.stringMapOwner(mod)} both have a map "${mapId}", it won't be loaded.`);
+        return false;
+    }
+    let extension = Utils.isOptionValid("test") ? "json" : "KEL";
+    this._stringMaps[mapId] = {
+        id: mapId,
+        mod: mod,
+        name: options.name || (current ? current.name : mapId),
+        path: options.path || (current ? current.path : `data/Map${mapId}.${extension}`)
+    };
+    if ($dataMapInfos) this.addStringMapInfo(mapId);
+    return true;
+};
+
+/**
+ * Returns a registered string map, or undefined.
+ * @param {*} mapId The string ID of the map.
+ */
+DataManager.stringMap = function(mapId) {
+    return this._stringMaps[mapId];
+};
+
+DataManager.stringMapOwner = function(mod) {
+    return mod ? `mods/${mod}` : "the game folder";
+};
+
+/**
+ * Registers the string maps of data/ and every mods/<folder>/data/ folder.
+ */
+DataManager.scanStringMaps = function() {
+    const path = require('path');
+    const fs = require('fs');
+    var base = path.dirname(process.mainModule.filename);
+    let extension = Utils.isOptionValid("test") ? "json" : "KEL";
+    let roots = [{ mod: "", path: "" }];
+    if (fs.existsSync(`${base}/mods`)) {
+        fs.readdirSync(`${base}/mods`).sort().forEach(function(folder) {
+            if (fs.existsSync(`${base}/mods/${folder}/data`)) roots.push({ mod: folder, path: `mods/${folder}/` });
+        });
+    }
+    roots.forEach(function(root) {
+        if (!fs.existsSync(`${base}/${root.path}data`)) return;
+        fs.readdirSync(`${base}/${root.path}data`).forEach(function(filename) {
+            let match = filename.match(/^Map(.+)\.(json|KEL)$/);
+            if (!match || match[2] !== extension || match[1] === "Infos" || !this.isStringMapId(match[1])) return;
+            let mapId = match[1];
+            let tiled = Utils.isOptionValid("test") ? `maps/Map${mapId}.json` : `maps/map${mapId}.AUBREY`;
+            if (!fs.existsSync(`${base}/${tiled}`)) {
+                console.warn(`[String Maps] ${root.path}data/${filename} has no Tiled map ${tiled} in the game folder, it won't be loaded.`);
+                return;
+            }
+            this.registerStringMap(mapId, { mod: root.mod, path: `${root.path}data/${filename}` });
+        }, this);
+    }, this);
+};
+
+/**
+ * Adds a registered string map to $dataMapInfos.
+ * @param {*} mapId The string ID of the map.
+ */
+DataManager.addStringMapInfo = function(mapId) {
+    let map = this._stringMaps[mapId];
+    $dataMapInfos[mapId] = { id: mapId, expanded: false, name: map.name, order: 0, parentId: 0, scrollX: 0, scrollY: 0 };
+};
+
+/**
+ * Returns the registered and rejected string maps as text.
+ */
+DataManager.stringMapReport = function() {
+    let lines = Object.keys(this._stringMaps).map(function(mapId) {
+        let map = this._stringMaps[mapId];
+        return `${mapId}: ${map.path}`;
+    }, this);
+    for (let mapId in this._rejectedStringMaps) {
+        let owners = this._rejectedStringMaps[mapId].map(this.stringMapOwner, this);
+        lines.push(`${mapId}: rejected, claimed by ${owners.join(" and ")}`);
+    }
+    return lines.length > 0 ? lines.join("\n") : "No string maps.";
+};
+
+DataManager.scanStringMaps();
+
+var _rwb_stringidmaps_onLoad = DataManager.onLoad;
+DataManager.onLoad = function(object) {
+    _rwb_stringidmaps_onLoad.call(this, object);
+    if (object === $dataMapInfos) {
+        for (let mapId in this._stringMaps) {
+            this.addStringMapInfo(mapId);
+        }
+    }
+};
+
 Scene_Map.prototype.create = function() {
     Scene_Base.prototype.create.call(this);
     this._transfer = $gamePlayer.isTransferring();
     var mapId = this._transfer ? $gamePlayer.newMapId() : $gameMap.mapId();
-    if (typeof mapId === "string") {
+    if (DataManager.isStringMapId(mapId)) {
       DataManager.loadSpecialMapData(mapId);
     } else {
       DataManager.loadMapData(mapId);
     }
 };
 
+var _rwb_stringidmaps_loadMapData = DataManager.loadMapData;
+DataManager.loadMapData = function(mapId) {
+    if (this.isStringMapId(mapId)) return this.loadSpecialMapData(mapId);
+    return _rwb_stringidmaps_loadMapData.call(this, mapId);
+};
+
+/**
+ * Throws a readable error when a string map can't be loaded.
+ * @param {*} mapId The string ID of the map.
+ */
+DataManager.checkStringMap = function(mapId) {
+    let rejected = this._rejectedStringMaps[mapId];
+    if (rejected) {
+        throw new Error(`Map "${mapId}" is claimed by ${rejected.map(this.stringMapOwner, this).join(" and ")}. Only one mod can use a map ID.`);
+    }
+    if (!this._stringMaps[mapId]) {
+        throw new Error(`Map "${mapId}" does not exist, or has no Tiled map in maps/.`);
+    }
+};
+
 DataManager.loadSpecialMapData = function(mapId) {
 			if(!!Utils.isOptionValid("test")) {return this.loadSpecialMapDataPlaytest(mapId);}
 			const path = require('path');
 			const fs = require('fs');
 			var base = path.dirname(process.mainModule.filename);
 			if(typeof mapId === "string") {
-				let filename = 'Map%1.KEL'.format(mapId);
+				this.checkStringMap(mapId);
+				let filename = this._stringMaps[mapId].path;
 				this._mapLoader = false;
 				window["$dataMap"] = null;
 				Graphics.startLoading();
-				fs.readFile(base + "/data/" + filename, (err, buffer) => {
+				fs.readFile(base + "/" + filename, (err, buffer) => {
 					if(!!err) {
-						Graphics.printLoadingError(base + "/data/" + filename);
+						Graphics.printLoadingError(base + "/" + filename);
 						SceneManager.stop();
+						return;
 					}
 					let decrypt = Encryption.decrypt(buffer);
 					window["$dataMap"] = JSON.parse(decrypt.toString());
@@ -43,8 +209,11 @@ DataManager.loadSpecialMapData = function(mapId) {
 
 DataManager.loadSpecialMapDataPlaytest = function(mapId) {
     if (typeof mapId === "string") {
-        var filename = 'Map%1.json'.format(mapId);
-        this._mapLoader = ResourceHandler.createLoader('data/' + filename, this.loadDataFile.bind(this, '$dataMap', filename));
+        this.checkStringMap(mapId);
+        var path = this._stringMaps[mapId].path;
+        // loadDataFile reads from data/
+        var filename = path.startsWith("data/") ? path.slice(5) : "../" + path;
+        this._mapLoader = ResourceHandler.createLoader(path, this.loadDataFile.bind(this, '$dataMap', filename));
         this.loadDataFile('$dataMap', filename);
         this.loadTiledMapData(mapId);
     } else {
@@ -52,3 +221,23 @@ DataManager.loadSpecialMapDataPlaytest = function(mapId) {
     }
 };
 
+// A variable or script holding "12" still means map 12
+var _rwb_stringidmaps_reserveTransfer = Game_Player.prototype.reserveTransfer;
+Game_Player.prototype.reserveTransfer = function(mapId, x, y, d, fadeType) {
+    if (typeof mapId === "string" && !DataManager.isStringMapId(mapId)) mapId = Number(mapId);
+    _rwb_stringidmaps_reserveTransfer.call(this, mapId, x, y, d, fadeType);
+};
+
+var _rwb_stringidmaps_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+Game_Interpreter.prototype.pluginCommand = function(command, args) {
+    if (command.toLowerCase() === "transferstringmap") {
+        if (!$gameParty.inBattle() && !$gameMessage.isBusy()) {
+            let d = args[3] !== undefined ? Number(args[3]) : 0;
+            let fadeType = args[4] !== undefined ? Number(args[4]) : 0;
+            $gamePlayer.reserveTransfer(args[0], Number(args[1]), Number(args[2]), d, fadeType);
+            this.setWaitMode('transfer');
+        }
+        return;
+    }
+    return _rwb_stringidmaps_pluginCommand.call(this, command, args);
+};
@@ -0,0 +1,167 @@
+//===============================================================================================================
+// Mod Manifest
+// Mod_Manifest.js
+//===============================================================================================================
+
+//===============================================================================================================
+/*:
+ * Does the jobs of Deny Other Mods, Deny Injection, Force Load First/Last and
+ * the OneLoader version check from a "manifest" block in your mod.json, so
+ * there is nothing to edit in this file.
+ * Meant to be loaded via Oneloader asyncExec in the mod.json, DO NOT add
+ * this as a plugin in Rpgmaker.
+ *
+ * Example mod.json lines:
+ * "asyncExec": [
+ *   {"file": "asyncExec/RPH_oneloader_version_check.js", "runat": "pre_stage_2"},
+ *   {"file": "asyncExec/Mod_Manifest.js", "runat": "pre_stage_2"},
+ *   {"file": "asyncExec/Mod_Manifest.js", "runat": "pre_plugin_injection"},
+ *   {"file": "asyncExec/Mod_Manifest.js", "runat": "pre_game_start"}
+ * ],
+ * "manifest": {
+ *   "name": "My Mod",
+ *   "requires": [{"id": "oneloader", "version": "1.4.3"}, {"id": "console"}],
+ *   "incompatible": ["some_other_mod"],
+ *   "deny": ["mod_to_detect_but_not_load"],
+ *   "loadFirst": ["plugin_name"],
+ *   "loadLast": ["other_plugin_name"],
+ *   "text": {"Title": "Mi mod no puede funcionar:"}
+ * }
+ *
+ * Every entry is optional, ids are case sensitive.
+ * - requires: mods that must be installed, with an optional minimum version.
+ *   Pre-release versions like "1.4.3-Preview" come before "1.4.3".
+ * - incompatible: mods that must not be installed.
+ * - deny: mods removed from being injected, see DenyInjection.js. They are
+ *   listed in $modLoader.deniedMods.
+ * - loadFirst/loadLast: plugins to load before/after every other plugin.
+ * - text: replaces the banner text, see TRANSLATABLE below for the keys.
+ *
+ * The pre_stage_2 lines are always needed, RPH_oneloader_version_check.js
+ * first since its version rules are used here (empty its CHECKS if your mod
+ * has no other version checks). The pre_plugin_injection line is
+ * only needed for loadFirst and the pre_game_start line only for loadLast.
+ * Every failing check of every mod using this file is listed in one banner
+ * at the top of the screen.
+*/
+//===============================================================================================================
+{
+    if (typeof PluginManager !== "undefined") {
+        (function() {
+            alert("Mod Manifest will not function properly as a RPGMaker MV Plugin.\nPlease remove Mod_Manifest.js from the Plugin Manager in your playtest, as Mod Manifest needs to be ran via Oneloader's asyncExec - in the mod.json.");
+        })();
+    }
+    else {
+        const TRANSLATABLE = {
+            "Title": "%thismod% can't work properly:",
+            "Missing": "it requires %mod%, which is not installed.",
+            "Outdated": "it requires %mod% %version% or newer, you have %installed%.",
+            "Incompatible": "it does not work with %mod%, please remove it.",
+            "NoVersionCheck": "it can't check the version of %mod% without RPH_oneloader_version_check.js.",
+            "After": "Please fix these problems and relaunch OMORI."
+        };
+
+        const knownMods = params.knownMods || $modLoader.knownMods;
+        const manifests = window.ModManifest = window.ModManifest || { checked: new Set(), problems: [], banner: null, bannerScheduled: false };
+        const versions = window.ModVersionCheck;
+        $modLoader.deniedMods = $modLoader.deniedMods || [];
+
+        const modName = function(id) {
+            const mod = knownMods.get(id);
+            return mod && mod.json.name ? mod.json.name : id;
+        };
+
+        const check = function(id, manifest, text) {
+            const thisMod = manifest.name || modName(id);
+            const problems = [];
+            for (const required of manifest.requires || []) {
+                const mod = knownMods.get(required.id);
+                if (!mod) {
+                    problems.push(text.Missing.replace("%mod%", required.id));
+                }
+                else if (required.version && !versions) {
+                    problems.push(text.NoVersionCheck.replace("%mod%", modName(required.id)));
+                }
+                else if (required.version && versions.compareVersions(versions.parseVersion(mod.json.version), versions.parseVersion(required.version)) < 0) {
+                    problems.push(text.Outdated.replace("%mod%", modName(required.id)).replace("%version%", required.version).replace("%installed%", mod.json.version));
+                }
+            }
+            for (const incompatible of manifest.incompatible || []) {
+                if (knownMods.has(incompatible)) {
+                    problems.push(text.Incompatible.replace("%mod%", modName(incompatible)));
+                }
+            }
+            if (problems.length > 0) {
+                manifests.problems.push({ title: text.Title.replace("%thismod%", thisMod), problems: problems, after: text.After });
+            }
+        };
+
+        const showBanner = function() {
+            if (manifests.problems.length === 0) return;
+            let banner = manifests.banner;
+            if (!banner) {
+                banner = manifests.banner = document.createElement("div");
+                let fs = "24px";
+                if (window.innerWidth > 1000) {
+                    fs = "32px";
+                }
+                if (window.innerWidth > 1500) {
+                    fs = "48px";
+                }
+                banner.style = "text-align: center; position: fixed; top: 0; left: 0; right: 0; z-index: 999999; background: red; color: white; font-family: OMORI_GAME2; font-size: " + fs + ";";
+                document.body.appendChild(banner);
+            }
+            banner.innerHTML = "";
+            for (const entry of manifests.problems) {
+                banner.appendChild(document.createTextNode(entry.title));
+                for (const problem of entry.problems) {
+                    banner.appendChild(document.createElement("br"));
+                    banner.appendChild(document.createTextNode(`- ${problem}`));
+                }
+                banner.appendChild(document.createElement("br"));
+            }
+            banner.appendChild(document.createTextNode(manifests.problems[manifests.problems.length - 1].after));
+        };
+
+        for (const [id, mod] of Array.from(knownMods.entries())) {
+            const manifest = mod.json.manifest;
+            if (!manifest) continue;
+
+            // Checks only happen once, before the denied mods disappear from knownMods
+            if (!manifests.checked.has(id)) {
+                manifests.checked.add(id);
+                check(id, manifest, Object.assign({}, TRANSLATABLE, manifest.text));
+            }
+
+            for (const denied of manifest.deny || []) {
+                if (knownMods.has(denied)) {
+                    $modLoader.deniedMods.push(denied);
+                    knownMods.delete(denied);
+                }
+            }
+
+            if ($modLoader.pluginLocks) {
+                const locks = Array.from($modLoader.pluginLocks);
+                for (const plugin of (manifest.loadFirst || []).slice().reverse()) {
+                    if (locks.includes(plugin)) {
+                        locks.splice(locks.indexOf(plugin), 1);
+                        locks.unshift(plugin);
+                    }
+                }
+                for (const plugin of manifest.loadLast || []) {
+                    if (locks.includes(plugin)) {
+                        locks.splice(locks.indexOf(plugin), 1);
+                        locks.push(plugin);
+                    }
+                }
+                $modLoader.pluginLocks = new Set(locks);
+            }
+        }
+
+        // Runs at up to three stages, the banner only needs to be shown once
+        if (!manifests.bannerScheduled) {
+            manifests.bannerScheduled = true;
+            setTimeout(showBanner, 5000);
+        }
+    }
+}
@@ -1,66 +1,166 @@
 // SPDX-License-Identifier: Apache-2.0
 // Author: Rph (github.com/rphsoftware)
 !function() {
-    const MIN_MAJOR = 1;
-    const MIN_MINOR = 4;
-    const MIN_PATCH = 3;
+    // Every mod your mod depends on, with the versions it works with.
+    // Ranges work like npm ones: ">=1.4.3 <2", "^2.1" (2.1 or newer, below 3), "~1.0" (1.0.x), "1.2.3", "*",
+    // with "||" between alternatives. Pre-release versions like "1.4.3-Preview" come before "1.4.3".
+    const CHECKS = [
+        { modId: "oneloader", range: ">=1.4.3", update: "https://github.com/rphsoftware/oneloader/releases/latest" }
+    ];
     const THISMOD = "NAME OF YOUR MOD HERE";
-    const ONELOADER_UPDATE = "https://github.com/rphsoftware/oneloader/releases/latest";
 
     const TRANSLATABLE = {
-        "FirstLine": "You are currently running OneLoader %version%",
-        "SecondLine": "%thismod% requires at least OneLoader %version%",
+        "FirstLine": "You are currently running %mod% %version%",
+        "FirstLineMissing": "You don't have %mod% installed",
+        "SecondLine": "%thismod% requires %mod% %range%",
         "BeforeUpdateOneLoader": "Please ",
-        "UpdateOneLoader": "UPDATE ONELOADER",
+        "UpdateOneLoader": "UPDATE %MOD%",
+        "InstallOneLoader": "INSTALL %MOD%",
         "AfterUpdateOneLoader": " before you continue playing."
     }
 
+    // Mod_Manifest.js uses these too, run this file before it
+    window.ModVersionCheck = { parseVersion, compareVersions, satisfies };
+
     if (!window.$modLoader) {
         console.log("Skipping OneLoader version check, we don't seem to be in a retail environment");
         return;
     }
 
-    const oneloaderVersion = $modLoader.knownMods.get("oneloader").json.version;
-
-    const splitOneloaderVersion = oneloaderVersion.split(".").map(n => parseInt(n) || 0);
-
     // Oh god people might still be running Preview versions.......
-    const oneloaderMajor = splitOneloaderVersion[0] || 0;
-    const oneloaderMinor = splitOneloaderVersion[1] || 0;
-    const oneloaderPatch = splitOneloaderVersion[2] || 0;
+    function parseVersion(version) {
+        const match = String(version).trim().match(/^v?(\d+|[xX*])?(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:[-+ ]?(.*))?$/);
+        if (!match) {
+            return { major: 0, minor: 0, patch: 0, pre: [String(version)], parts: 0 };
+        }
+        const parts = match.slice(1, 4).filter(n => n !== undefined && !/[xX*]/.test(n)).length;
+        return {
+            major: parseInt(match[1]) || 0,
+            minor: parseInt(match[2]) || 0,
+            patch: parseInt(match[3]) || 0,
+            pre: match[4] ? match[4].split(/[.\-]/) : [],
+            parts: parts
+        };
+    }
 
-    let good = false;
-    if (oneloaderMajor > MIN_MAJOR) {
-        good = true;
+    function compareVersions(a, b) {
+        for (const key of ["major", "minor", "patch"]) {
+            if (a[key] !== b[key]) return a[key] - b[key];
+        }
+        // A pre-release comes before the release itself
+        if (a.pre.length === 0 || b.pre.length === 0) return b.pre.length - a.pre.length;
+        for (let i = 0; i < Math.max(a.pre.length, b.pre.length); i++) {
+            if (a.pre[i] === undefined) return -1;
+            if (b.pre[i] === undefined) return 1;
+            const numericA = /^\d+$/.test(a.pre[i]);
+            const numericB = /^\d+$/.test(b.pre[i]);
+            if (numericA && numericB && a.pre[i] !== b.pre[i]) return parseInt(a.pre[i]) - parseInt(b.pre[i]);
+            if (numericA !== numericB) return numericA ? -1 : 1;
+            if (a.pre[i] !== b.pre[i]) return a.pre[i] < b.pre[i] ? -1 : 1;
+        }
+        return 0;
     }
-    if (oneloaderMajor == MIN_MAJOR) {
-        if (oneloaderMinor > MIN_MINOR) {
-            good = true;
+
+    // Turns ^, ~ and partial versions into plain comparators
+    function expandComparator(comparator) {
+        const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?(.*)$/);
+        const operator = match[1] || "=";
+        const version = parseVersion(match[2]);
+        const upper = (major, minor, patch) => ({ operator: "<", version: { major, minor, patch, pre: ["0"] } });
+        if (match[2] === "" || version.parts === 0) {
+            return [];
         }
-        if (oneloaderMinor == MIN_MINOR) {
-            if (oneloaderPatch >= MIN_PATCH) {
-                good = true;
-            }
+        switch (operator) {
+            case "^":
+                if (version.major > 0 || version.parts === 1) return [{ operator: ">=", version }, upper(version.major + 1, 0, 0)];
+                if (version.minor > 0 || version.parts === 2) return [{ operator: ">=", version }, upper(0, version.minor + 1, 0)];
+                return [{ operator: ">=", version }, upper(0, 0, version.patch + 1)];
+            case "~":
+                if (version.parts === 1) return [{ operator: ">=", version }, upper(version.major + 1, 0, 0)];
+                return [{ operator: ">=", version }, upper(version.major, version.minor + 1, 0)];
+            case "=":
+                if (version.parts === 1) return [{ operator: ">=", version }, upper(version.major + 1, 0, 0)];
+                if (version.parts === 2) return [{ operator: ">=", version }, upper(version.major, version.minor + 1, 0)];
+                return [{ operator: "=", version }];
+            case ">":
+                // >1.4 means 1.5 or newer
+                if (version.parts === 1) return [{ operator: ">=", version: { major: version.major + 1, minor: 0, patch: 0, pre: [] } }];
+                if (version.parts === 2) return [{ operator: ">=", version: { major: version.major, minor: version.minor + 1, patch: 0, pre: [] } }];
+                return [{ operator, version }];
+            case "<":
+                // <2 means below 2.0.0, and below its pre-releases too
+                if (version.parts < 3 && version.pre.length === 0) version.pre = ["0"];
+                return [{ operator, version }];
+            case "<=":
+                if (version.parts === 1) return [upper(version.major + 1, 0, 0)];
+                if (version.parts === 2) return [upper(version.major, version.minor + 1, 0)];
+                return [{ operator, version }];
+            default:
+                return [{ operator, version }];
         }
     }
 
-    if (!good) {
-        let banner = document.createElement("div");
-        
-        banner.innerHTML = `${
-            TRANSLATABLE.FirstLine.replace("%version%", oneloaderVersion)
-        }<br>${TRANSLATABLE.SecondLine.replace("%thismod%", THISMOD).replace("%version%", `${MIN_MAJOR}.${MIN_MINOR}.${MIN_PATCH}`)}<br>${TRANSLATABLE.BeforeUpdateOneLoader}`;
-        
-        let link = document.createElement("a");
-        link.addEventListener("click", function() {
-            require('child_process').execSync(`start ${ONELOADER_UPDATE}`);
+    function satisfies(version, range) {
+        const parsed = parseVersion(version);
+        return range.split("||").some(alternative => {
+            const comparators = alternative.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1").split(/\s+/).filter(c => c.length > 0);
+            return comparators.every(comparator => expandComparator(comparator).every(({ operator, version }) => {
+                const result = compareVersions(parsed, version);
+                switch (operator) {
+                    case ">=": return result >= 0;
+                    case "<=": return result <= 0;
+                    case ">": return result > 0;
+                    case "<": return result < 0;
+                    default: return result === 0;
+                }
+            }));
         });
-        link.style = "text-decoration: underline; cursor: pointer;";
-        link.innerText = TRANSLATABLE.UpdateOneLoader;
+    }
 
-        let tn = document.createTextNode(TRANSLATABLE.AfterUpdateOneLoader);
-        banner.appendChild(link);
-        banner.appendChild(tn);
+    function openLink(url) {
+        if (window.nw && nw.Shell) {
+            nw.Shell.openExternal(url);
+            return;
+        }
+        const command = process.platform === "win32" ? `start "" "${url}"` : process.platform === "darwin" ? `open "${url}"` : `xdg-open "${url}"`;
+        require('child_process').exec(command);
+    }
+
+    const failed = CHECKS.filter(check => {
+        const mod = $modLoader.knownMods.get(check.modId);
+        return !mod || !satisfies(mod.json.version, check.range);
+    });
+
+    if (failed.length > 0) {
+        let banner = document.createElement("div");
+
+        failed.forEach((check, index) => {
+            const mod = $modLoader.knownMods.get(check.modId);
+            const modName = mod && mod.json.name ? mod.json.name : check.modId;
+            if (index > 0) {
+                banner.appendChild(document.createElement("br"));
+            }
+            let lines = document.createElement("span");
+            lines.innerHTML = `${
+                mod ? TRANSLATABLE.FirstLine.replace("%mod%", modName).replace("%version%", mod.json.version) : TRANSLATABLE.FirstLineMissing.replace("%mod%", modName)
+            }<br>${TRANSLATABLE.SecondLine.replace("%thismod%", THISMOD).replace("%mod%", modName).replace("%range%", check.range)}<br>${TRANSLATABLE.BeforeUpdateOneLoader}`;
+            banner.appendChild(lines);
+
+            let link = document.createElement("a");
+            link.addEventListener("click", function() {
+                openLink(check.update);
+            });
+            link.style = "text-decoration: underline; cursor: pointer;";
+            link.innerText = (mod ? TRANSLATABLE.UpdateOneLoader : TRANSLATABLE.InstallOneLoader).replace("%MOD%", modName.toUpperCase());
+
+            let tn = document.createTextNode(TRANSLATABLE.AfterUpdateOneLoader);
+            if (check.update) {
+                banner.appendChild(link);
+            } else {
+                banner.appendChild(document.createTextNode(link.innerText));
+            }
+            banner.appendChild(tn);
+        });
 
         setTimeout(() => {
             let fs = "32px";
@@ -70,8 +170,12 @@
             if (window.innerWidth > 1500) {
                 fs = "96px";
             }
+            // Several checks have to fit on screen
+            if (failed.length > 1) {
+                fs = `${parseInt(fs) / 2}px`;
+            }
             banner.style = "text-align: center; position: fixed; top: 0; left: 0; right: 0; z-index: 999999; background: red; color: white; font-family: OMORI_GAME2; font-size: " + fs + ";";
             document.body.appendChild(banner);
         }, 5000);
     }
-}();
\ No newline at end of file
+}();
@@ -8,10 +8,10 @@ Imported.TR_TextSoundArrays = true;
 
 var TR = TR || {};
 TR.TSA = TR.TSA || {};
-TR.TSA.version = 2.0;
+TR.TSA.version = 2.1;
 
 /*: 
- * @plugindesc v2.0 Allows for multiple Letter Sounds to be used together.
+ * @plugindesc v2.1 Allows for multiple Letter Sounds to be used together.
  * @author TomatoRadio
  * 
  * @help
@@ -42,6 +42,38 @@ TR.TSA.version = 2.0;
  * 
  * #################################################
  * 
+ * Voice Profiles:
+ * A voice gives a character the same sounds, pitch and
+ * volume everywhere. They are defined in the Voice Yaml:
+ * 
+ * LUCILLE:
+ *   sounds: [lucille_1, lucille_2, lucille_3]
+ *   order: random       # or sequence, like commas and periods
+ *   pitch: [90, 110]    # a number, or a random range
+ *   pan: 0              # same as pitch
+ *   volume: 80
+ *   interval: 2         # a sound every 2 characters
+ *   exclaim: lucille_!  # sound of `!`
+ *   question: lucille_? # sound of `?`
+ *   silent: " .,;:-"    # characters without a sound
+ * 
+ * Only sounds is needed. Without pitch, pan and volume
+ * the ones of the message are used. The interval is used
+ * while the voice is the Letter Sound, then the one of
+ * the message comes back. By default spaces and
+ * punctuation are silent, and so are `!` and `?` without
+ * their own sound. Use silent: "" for every character
+ * to make a sound.
+ * 
+ * Then use the name of the voice as a Letter Sound:
+ * `lsn<LUCILLE>` or `textsound: LUCILLE`
+ * A voice with the same name as an SE takes its place.
+ * 
+ * Voices can also be added with a script:
+ * TR.TSA.addVoice("LUCILLE", { sounds: ["lucille_1"] });
+ * 
+ * #################################################
+ * 
  * Extra JS/Technical stuff:
  * 
  * Random Exclusion Rules:
@@ -67,8 +99,43 @@ TR.TSA.version = 2.0;
  * set to 0. This should never impact gameplay beyond
  * not crashing the game.
  * 
+ * $gameSystem._msgSoundCharacter
+ * The character being written, used by voices.
+ * 
+ * @param voiceYaml
+ * @text Voice Yaml
+ * @desc The name of the yaml holding the voice profiles.
+ * @default voices
+ * 
 */
 
+TR.TSA.voiceYaml = PluginManager.parameters('TR_TextSoundArrays')['voiceYaml'] || "voices";
+TR.TSA.voices = {};
+TR.TSA.defaultSilent = " .,;:-!?…~\"'()";
+
+TR.TSA.addVoice = function(name, voice) {
+    TR.TSA.voices[name] = voice;
+};
+
+/**
+ * Returns the voice profile with this name, or undefined.
+ * Voices from TR.TSA.addVoice come before the yaml ones.
+ */
+TR.TSA.voice = function(name) {
+    if (TR.TSA.voices[name]) return TR.TSA.voices[name];
+    var yaml = LanguageManager.languageData().text[TR.TSA.voiceYaml];
+    return yaml && yaml[name] && yaml[name].sounds ? yaml[name] : undefined;
+};
+
+// A number, or a random whole number in a [min, max] range
+TR.TSA.randomInRange = function(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    if (!Array.isArray(value)) return Number(value);
+    var min = Number(value[0]);
+    var max = Number(value[1]);
+    return Math.floor(Math.random() * (max - min + 1) + min);
+};
+
 Game_System.prototype.getMessageSound = function() {
     if (this._msgSoundName === undefined) this.initMessageSounds();
     var obj = {
@@ -83,8 +150,29 @@ Game_System.prototype.getMessageSound = function() {
     if (this._msgOldSoundName && this._msgOldSoundName !== name) this._msgSoundIndex = 0;
     //Store this name for the next time we get this sound.
     this._msgOldSoundName = name
+    var voice = TR.TSA.voice(name)
+    if (voice) return this.getVoiceSound(voice, obj);
     if (name.includes(',')) { //Random
-        let array = name.split(',')
+        obj['name'] = this.pickMessageSound(name.split(','), true)
+    } else if (name.includes('.')) { //Sequencial
+        obj['name'] = this.pickMessageSound(name.split('.'), false)
+    }
+    //console.log(obj['name'])
+    var max = this._msgSoundPitch + this._msgSoundPitchVar;
+    var min = this._msgSoundPitch - this._msgSoundPitchVar;
+    obj['pitch'] = Math.floor(Math.random() * ( max - min + 1) + min);
+    var max = this._msgSoundPan + this._msgSoundPanVar;
+    var min = this._msgSoundPan - this._msgSoundPanVar;
+    obj['pan'] = Math.floor(Math.random() * ( max - min + 1) + min);
+    return obj;
+};
+
+/**
+ * Picks the next sound of an array, randomly without dittoes or in sequence.
+ */
+Game_System.prototype.pickMessageSound = function(array, random) {
+    if (array.length === 1) return array[0] // Nothing else to pick from
+    if (random) {
         let max = array.length
         let index //Init the var bc declaring it in a loop sounds dangerous lol
         //Generates an index
@@ -93,23 +181,57 @@ Game_System.prototype.getMessageSound = function() {
         } while (index === this._msgSoundIndex); 
         // ^ Makes sure the index is not the same as the last played index.
         // This is to make sure we don't play the same sound twice.
-        obj['name'] = array[index]
         this._msgSoundIndex = index;
         // ^ Store this index for future checks
-    } else if (name.includes('.')) { //Sequencial
-        let array = name.split('.');
-        let max = array.length-1
-        let index = this._msgSoundIndex
-        if (index > max) index = 0 //If we go past the last sound, reset
-        obj['name'] = array[index]
-        this._msgSoundIndex = index+1 //increase the index for next play.
+        return array[index]
     }
-    //console.log(obj['name'])
-    var max = this._msgSoundPitch + this._msgSoundPitchVar;
-    var min = this._msgSoundPitch - this._msgSoundPitchVar;
-    obj['pitch'] = Math.floor(Math.random() * ( max - min + 1) + min);
-    var max = this._msgSoundPan + this._msgSoundPanVar;
-    var min = this._msgSoundPan - this._msgSoundPanVar;
-    obj['pan'] = Math.floor(Math.random() * ( max - min + 1) + min);
+    let max = array.length-1
+    let index = this._msgSoundIndex
+    if (index > max) index = 0 //If we go past the last sound, reset
+    this._msgSoundIndex = index+1 //increase the index for next play.
+    return array[index]
+};
+
+/**
+ * Returns the sound of a voice profile for the character being written.
+ * A sound without a name doesn't play.
+ */
+Game_System.prototype.getVoiceSound = function(voice, obj) {
+    var character = this._msgSoundCharacter || "";
+    var silent = voice.silent !== undefined ? String(voice.silent) : TR.TSA.defaultSilent;
+    if (character === "!" && voice.exclaim) {
+        obj['name'] = voice.exclaim;
+    } else if (character === "?" && voice.question) {
+        obj['name'] = voice.question;
+    } else if (character !== "" && silent.includes(character)) {
+        obj['name'] = "";
+    } else {
+        var sounds = Array.isArray(voice.sounds) ? voice.sounds : String(voice.sounds).split(/[,.]/);
+        obj['name'] = this.pickMessageSound(sounds, voice.order !== "sequence");
+    }
+    obj['volume'] = TR.TSA.randomInRange(voice.volume, obj['volume']);
+    obj['pitch'] = TR.TSA.randomInRange(voice.pitch, this._msgSoundPitch + Math.floor(Math.random() * (this._msgSoundPitchVar * 2 + 1)) - this._msgSoundPitchVar);
+    obj['pan'] = TR.TSA.randomInRange(voice.pan, this._msgSoundPan + Math.floor(Math.random() * (this._msgSoundPanVar * 2 + 1)) - this._msgSoundPanVar);
     return obj;
-};
\ No newline at end of file
+};
+
+/**
+ * Uses the interval of the current voice, or the one set outside of voices
+ * once the Letter Sound isn't a voice with an interval anymore.
+ */
+Game_System.prototype.updateVoiceInterval = function() {
+    var voice = this._msgSoundName !== undefined ? TR.TSA.voice(this._msgSoundName) : undefined;
+    var interval = voice && voice.interval ? Number(voice.interval) : undefined;
+    // The interval changed since a voice set it, so it's the one to come back to
+    if (this._msgSoundInterval !== this._msgVoiceInterval) this._msgBaseSoundInterval = this._msgSoundInterval;
+    this._msgVoiceInterval = interval;
+    this._msgSoundInterval = interval !== undefined ? interval : this._msgBaseSoundInterval;
+};
+
+// Voices need to know which character is being written, and set their interval before its sound
+TR.TSA.Window_Message_processNormalCharacter = Window_Message.prototype.processNormalCharacter;
+Window_Message.prototype.processNormalCharacter = function(textState) {
+    $gameSystem._msgSoundCharacter = textState.text[textState.index];
+    $gameSystem.updateVoiceInterval();
+    TR.TSA.Window_Message_processNormalCharacter.call(this, textState);
+};
@@ -21,6 +21,23 @@
  * xAdjust, yAdjust: Normally the annotation is centered above the base text.
  *                   If the position is not very correct, you can adjust it with these parameters.
  * 
+ * ------------------------------------------------------------------------------
+ * [Ruby]
+ * Annotations can also be written inline, without presets:
+ * ◆"Show Text", "Show Options", help texts, battle log...: \ruby[日本|にほん]
+ * 
+ * The base text is written like normal text, the annotation above it.
+ * - When the annotation is wider than the base text, space is added on both sides
+ *   of the base text so the annotation doesn't overlap its neighbours.
+ * - With word wrap on (<WordWrap>), a base text and its annotation never get split:
+ *   the whole block moves to the next line when it doesn't fit.
+ * - The annotation can't contain ] or escape codes, the base text can't contain | either.
+ * 
+ * Their look is set with (same keys as presets, unset ones use the default):
+ * TR_TNote.rubyOptions = { fontSize: 14, textColor: '#ffffff' };
+ * TR_TNote.rubyXAdjust = 0;
+ * TR_TNote.rubyYAdjust = 10;
+ * 
  * 
  * 
  * @param Preset_List
@@ -115,12 +132,21 @@ var TR_TNote = {
     _defaultYAdjust: 10,
     _defaultTextInterval: 1,
 
-    presets: []
+    presets: [],
+
+    rubyOptions: {},
+    rubyXAdjust: 0,
+    rubyYAdjust: 10
 };
 
 
 
 TR_TNote.makePreset = function(id, text, baseText, textInterval, options, xAdjust, yAdjust){
+    TR_TNote.presets[id] = TR_TNote.createPreset(text, baseText, textInterval, options, xAdjust, yAdjust);
+};
+
+
+TR_TNote.createPreset = function(text, baseText, textInterval, options, xAdjust, yAdjust){
     if (xAdjust === undefined) xAdjust = TR_TNote._defaultXAdjust;
     if (yAdjust === undefined) yAdjust = TR_TNote._defaultYAdjust;
 
@@ -150,7 +176,16 @@ TR_TNote.makePreset = function(id, text, baseText, textInterval, options, xAdjus
     for (var key in TR_TNote._defaultOptions){
         preset.options[key] = (options && options[key] !== undefined) ? options[key] : TR_TNote._defaultOptions[key];
     }
-    TR_TNote.presets[id] = preset;
+    return preset;
+};
+
+
+// Reads [Base|Annotation] after \ruby
+TR_TNote.obtainRubyParam = function(textState){
+    var match = /^\[([^\]|]*)\|([^\]]*)\]/.exec(textState.text.slice(textState.index));
+    if (!match) return null;
+    textState.index += match[0].length;
+    return { baseText: match[1], text: match[2] };
 };
 
 
@@ -178,6 +213,12 @@ Window_Base.prototype.processEscapeCharacter = function(code, textState) {
             var preset = TR_TNote.presets[this.obtainEscapeParam(textState)];
             this.TR_TNote_addNote(preset, textState);
             break;
+        case 'RUBY':
+            this.TR_TNote_processRuby(textState);
+            break;
+        case 'RUBYPAD':
+            textState.x += this.obtainEscapeParam(textState);
+            break;
         default:
             TR_TNote._extends.processEscapeCharacter.call(this, code, textState);
             break;
@@ -211,6 +252,44 @@ Window_Base.prototype.TR_TNote_addNote = function(preset, textState){
 };
 
 
+Window_Base.prototype.TR_TNote_processRuby = function(textState){
+    var escapeStart = textState.index - 'RUBY'.length - 1;
+    var ruby = TR_TNote.obtainRubyParam(textState);
+    if (!ruby) return;
+
+    var baseTextWidth = this.textWidth(ruby.baseText);
+    this.TR_TNote_saveEnv();
+    this.TR_TNote_replaceEnv(TR_TNote.createPreset('', '', 0, TR_TNote.rubyOptions).options);
+    var noteTextWidth = this.textWidth(ruby.text);
+    this.TR_TNote_restoreEnv();
+
+    // Word wrap: move the whole block to the next line, the escape code is read again there
+    if (this._wordWrap && this.wordwrapWidth && textState.x > textState.left &&
+        textState.x + Math.max(baseTextWidth, noteTextWidth) > this.wordwrapWidth()){
+        textState.text = textState.text.slice(0, escapeStart) + '\n' + textState.text.slice(escapeStart);
+        textState.index = escapeStart;
+        return;
+    }
+
+    // A wider annotation widens the base text on both sides
+    var pad = Math.max(0, Math.ceil((noteTextWidth - baseTextWidth) / 2));
+    textState.x += pad;
+
+    // The base text is then written like normal text, with spaces that word wrap can't break
+    var baseText = ruby.baseText.replace(/ /g, '\u00a0');
+    textState.text = textState.text.slice(0, textState.index) + baseText +
+        (pad > 0 ? '\x1bRUBYPAD[' + pad + ']' : '') + textState.text.slice(textState.index);
+
+    // Measuring the text (textWidthEx, word wrap checks) draws it below the contents
+    if (this._checkWordWrapMode || textState.y >= this.contents.height) return;
+
+    var instant = !(this instanceof Window_Message) || this._showFast || this._lineShowFast;
+    this.TR_TNote_addNote(TR_TNote.createPreset(ruby.text, baseText,
+        instant ? 0 : TR_TNote._defaultTextInterval, TR_TNote.rubyOptions,
+        TR_TNote.rubyXAdjust, TR_TNote.rubyYAdjust), textState);
+};
+
+
 Window_Base.prototype.TR_TNote_updateNotes = function(){
     // record.delay[j] status:
     // -1: Already written | 0: Needs to be written this frame | >0: Write after a few frames
@@ -14,8 +14,10 @@
       this.active = false;
       this.commands = {};
       this.suggestions = {};
+      this.definitions = {};
       this.history = [""];
       this.historyIndex = 0;
+      this.failed = false;
       this.currentSuggestions = [];
       this.currentSuggestionsIndex = -1;
       this.consoleElement = document.createElement("div");
@@ -276,6 +278,12 @@
         this.scrollableElement.scrollHeight
       );
     }
+    fail(value = null, color = "red") {
+      this.failed = true;
+      if (value !== null) {
+        this.log(value, color);
+      }
+    }
     add(name, callback, suggestions = null) {
       if (name in this.commands) {
         return false;
@@ -286,6 +294,51 @@
       }
       return true;
     }
+    define(name, definition) {
+      const schema = definition.args || [];
+      const usage = formatUsage(name, schema);
+      const required = schema.filter((arg) => !isOptionalArgument(arg)).length;
+      const added = this.add(
+        name,
+        (handler, args) => {
+          if (args.length - 1 < required || args[required] === "") {
+            handler.fail(usage, "#fff");
+            return;
+          }
+          const values = {};
+          for (let i = 0; i < schema.length; ++i) {
+            const raw = args[i + 1];
+            if (raw === void 0 || raw === "") {
+              values[schema[i].name] = schema[i].default;
+              continue;
+            }
+            const result = parseArgument(schema[i], raw);
+            if ("error" in result) {
+              handler.fail(result.error);
+              handler.log(usage);
+              return;
+            }
+            values[schema[i].name] = result.value;
+          }
+          return definition.run(handler, values, args);
+        },
+        (args) => {
+          const arg = schema[args.length - 2];
+          return arg ? suggestArgument(arg, args) : [];
+        }
+      );
+      if (added) {
+        this.definitions[name] = Object.assign({}, definition, { usage });
+      }
+      return added;
+    }
+    defineType(name, type) {
+      if (name in argumentTypes) {
+        return false;
+      }
+      argumentTypes[name] = type;
+      return true;
+    }
     parseArguments(input, needsQuotes = false) {
       const args = [];
       const regex = new RegExp('((?<prefix>\\d+):)?("(?<longValue>.*?)("|$)|(?<value>[^ ]+))', "g");
@@ -313,24 +366,34 @@
       return args;
     }
     execute(command) {
+      this.failed = false;
       if (command.indexOf("js") === 0) {
         if (!("js" in this.commands)) {
-          this.log("Command not found.", "red");
-          return;
+          this.fail("Command not found.");
+          return false;
         }
-        this.commands["js"](this, command.split(" "));
-        return;
+        if (this.commands["js"](this, command.split(" ")) === false) {
+          this.fail();
+        }
+        return !this.failed;
       }
       const args = this.parseArguments(command);
       if (args.length === 0 || !(args[0] in this.commands)) {
-        this.log("Command not found.", "red");
-        return;
+        this.fail("Command not found.");
+        return false;
+      }
+      try {
+        if (this.commands[args[0]](this, args) === false) {
+          this.fail();
+        }
+      } catch (e) {
+        this.fail(e.stack || e);
       }
-      this.commands[args[0]](this, args);
       this.actionSuggestionElement.innerText = "";
       this.currentSuggestions = [];
       this.currentSuggestionsIndex = -1;
       this.onInputUpdate("");
+      return !this.failed;
     }
     filterSuggestions(query, values) {
       const result = [];
@@ -345,6 +408,231 @@
     }
   };
 
+  // src/batch.ts
+  var BATCH_POLL_INTERVAL = 16;
+  var MAX_BATCH_DEPTH = 16;
+  var batchQueue = [];
+  var batchRunning = false;
+  var currentBatchEntry = null;
+  var isGameBusy = () => {
+    if (SceneManager.isSceneChanging() || !SceneManager.isCurrentSceneStarted()) {
+      return true;
+    }
+    const scene = SceneManager._scene;
+    if (scene.isBusy()) {
+      return true;
+    }
+    if (scene instanceof Scene_Map) {
+      return !scene._mapLoaded || scene._isTeleporting || $gamePlayer.isTransferring();
+    }
+    if (scene instanceof Scene_Battle) {
+      return BattleManager._phase === "init" || BattleManager._phase === "start";
+    }
+    return false;
+  };
+  var stopBatch = () => {
+    batchQueue = [];
+    batchRunning = false;
+    currentBatchEntry = null;
+  };
+  var stepBatch = (handler) => {
+    if (batchQueue.length === 0) {
+      stopBatch();
+      handler.log("Batch finished.");
+      return;
+    }
+    if (isGameBusy()) {
+      if (handler.active) {
+        handler.setConsole(false);
+      }
+      setTimeout(() => stepBatch(handler), BATCH_POLL_INTERVAL);
+      return;
+    }
+    currentBatchEntry = batchQueue.shift();
+    handler.log(`/${currentBatchEntry.command}`, "lightgray");
+    if (!handler.execute(currentBatchEntry.command)) {
+      handler.log(
+        `Stopped at ${currentBatchEntry.source}:${currentBatchEntry.line}`,
+        "red"
+      );
+      stopBatch();
+      return;
+    }
+    // Only a /run on this line is nested in it
+    currentBatchEntry = null;
+    if (batchQueue.length === 0) {
+      stopBatch();
+      handler.log("Batch finished.");
+      return;
+    }
+    setTimeout(() => stepBatch(handler), BATCH_POLL_INTERVAL);
+  };
+  var runBatch = (handler, source, lines) => {
+    const depth = currentBatchEntry !== null ? currentBatchEntry.depth + 1 : 0;
+    if (depth > MAX_BATCH_DEPTH) {
+      handler.fail(`${source} is nested too deeply.`);
+      return;
+    }
+    const entries = [];
+    for (let i = 0; i < lines.length; ++i) {
+      const line = lines[i].trim();
+      if (line.length === 0 || line.indexOf("#") === 0 || line.indexOf("//") === 0) {
+        continue;
+      }
+      entries.push({
+        source,
+        line: i + 1,
+        command: line.replace(/^\//, ""),
+        depth
+      });
+    }
+    batchQueue.unshift(...entries);
+    if (!batchRunning) {
+      batchRunning = true;
+      stepBatch(handler);
+    }
+  };
+
+  // src/watch.ts
+  var WATCH_HIGHLIGHT_DURATION = 1e3;
+  var readWatchEntry = (entry) => {
+    switch (entry.type) {
+      case "switch":
+        return $gameSwitches.value(entry.id) ? "on" : "off";
+      case "variable":
+        return String($gameVariables.value(entry.id));
+      case "selfswitch":
+        return $gameSelfSwitches.value([entry.mapId, entry.id, entry.letter]) ? "on" : "off";
+    }
+    const actor = $gameActors.actor(entry.id);
+    if (!actor) {
+      return "-";
+    }
+    switch (entry.type) {
+      case "hp":
+        return `${actor.hp}/${actor.mhp}`;
+      case "mp":
+        return `${actor.mp}/${actor.mmp}`;
+      case "states":
+        return actor.states().map((state) => state.name).join(", ") || "none";
+    }
+    return "-";
+  };
+  var describeWatchEntry = (entry) => {
+    switch (entry.type) {
+      case "switch":
+        return `S${entry.id} ${$dataSystem.switches[entry.id] || ""}`;
+      case "variable":
+        return `V${entry.id} ${$dataSystem.variables[entry.id] || ""}`;
+      case "selfswitch":
+        return `Map${entry.mapId} Ev${entry.id} ${entry.letter}`;
+    }
+    const actor = $dataActors[entry.id];
+    return `${actor ? actor.characterName || actor.name : entry.id} ${entry.type.toUpperCase()}`;
+  };
+  var WatchPanel = class {
+    constructor() {
+      this.entries = JSON.parse(localStorage.getItem("watch") || "[]");
+      this.visible = localStorage.getItem("watchVisible") !== "false";
+      this.rows = [];
+      this.element = document.createElement("ul");
+      this.element.classList.add("watch");
+      const styleElement = document.createElement("style");
+      styleElement.innerText = `
+        .watch {
+          position: absolute;
+          top: 0;
+          right: 0;
+          z-index: 99;
+          margin: 0.5rem;
+          padding: 0.25em 0.5em;
+          list-style-type: none;
+          background-color: rgba(0, 0, 0, 0.6);
+          color: #fff;
+          font-family: monospace;
+          font-size: 0.875rem;
+          pointer-events: none;
+          display: none;
+        }
+
+        .watch li {
+          white-space: pre;
+        }
+
+        .watch li.changed {
+          background-color: rgba(255, 255, 0, 0.4);
+        }
+        `;
+      document.head.appendChild(styleElement);
+      document.body.appendChild(this.element);
+      this.update = this.update.bind(this);
+      this.rebuild();
+      requestAnimationFrame(this.update);
+    }
+    save() {
+      localStorage.setItem("watch", JSON.stringify(this.entries));
+    }
+    add(entry) {
+      this.entries.push(entry);
+      this.save();
+      this.rebuild();
+    }
+    remove(index) {
+      this.entries.splice(index, 1);
+      this.save();
+      this.rebuild();
+    }
+    clear() {
+      this.entries = [];
+      this.save();
+      this.rebuild();
+    }
+    setVisible(visible) {
+      this.visible = visible;
+      localStorage.setItem("watchVisible", String(visible));
+      this.rebuild();
+    }
+    rebuild() {
+      while (this.element.lastElementChild) {
+        this.element.removeChild(this.element.lastElementChild);
+      }
+      this.rows = [];
+      for (let i = 0; i < this.entries.length; ++i) {
+        const element = document.createElement("li");
+        this.element.appendChild(element);
+        this.rows.push({ entry: this.entries[i], element, value: null, changedAt: -Infinity });
+      }
+      this.element.style.display = this.visible && this.rows.length > 0 ? "block" : "none";
+    }
+    update(time) {
+      requestAnimationFrame(this.update);
+      if (!this.visible || this.rows.length === 0 || !$dataSystem || !$gameSwitches) {
+        return;
+      }
+      for (let i = 0; i < this.rows.length; ++i) {
+        const row = this.rows[i];
+        let value;
+        try {
+          value = readWatchEntry(row.entry);
+        } catch (e) {
+          value = "?";
+        }
+        if (row.value !== null && row.value !== value) {
+          row.changedAt = time;
+        }
+        row.value = value;
+        const text = `${describeWatchEntry(row.entry)}: ${value}`;
+        if (row.element.innerText !== text) {
+          row.element.innerText = text;
+        }
+        row.element.classList.toggle(
+          "changed",
+          time - row.changedAt < WATCH_HIGHLIGHT_DURATION
+        );
+      }
+    }
+  };
+
   // src/utils.ts
   var findFromVariable = (dest, value, name = "name", id = "id") => {
     const parsedValue = parseInt(value);
@@ -415,12 +703,6 @@
     }
     return [];
   };
-  var onSuggestionValue = (args) => {
-    if (args.length === 3) {
-      return ["max"];
-    }
-    return onSuggestionActive(args);
-  };
   var getActiveSkillsByName = (name) => {
     const result = [];
     const actor = findActiveActor(name);
@@ -444,7 +726,7 @@
   // src/commands/actor/addparty.ts
   var onCommand = (handler, args) => {
     if (args.length < 2) {
-      handler.log("Usage: /addparty [name]");
+      handler.fail("Usage: /addparty [name]", "#fff");
       return;
     }
     const actor = findFromVariable(
@@ -453,13 +735,12 @@
       "characterName"
     );
     if (actor === null) {
-      handler.log(`Actor ${args[1]} not found`, "red");
+      handler.fail(`Actor ${args[1]} not found`);
       return;
     }
     if ($gameParty.allMembers().length >= 4) {
-      handler.log(
-        "Could not have more than 4 party members.",
-        "red"
+      handler.fail(
+        "Could not have more than 4 party members."
       );
       return;
     }
@@ -482,7 +763,7 @@
   // src/commands/actor/removeparty.ts
   var onCommand2 = (handler, args) => {
     if (args.length < 2) {
-      handler.log("Usage: /removeparty [name]");
+      handler.fail("Usage: /removeparty [name]", "#fff");
       return;
     }
     const actor = findFromVariable(
@@ -491,11 +772,11 @@
       "characterName"
     );
     if (actor === null) {
-      handler.log(`Actor ${args[1]} not found`, "red");
+      handler.fail(`Actor ${args[1]} not found`);
       return;
     }
     if ($gameParty.allMembers().length < 2) {
-      handler.log("Could not remove the last party member.", "red");
+      handler.fail("Could not remove the last party member.");
       return;
     }
     $gameParty.removeActor(actor.id);
@@ -504,63 +785,43 @@
   var removeparty_default = { onCommand: onCommand2, onSuggestion: onSuggestionActive };
 
   // src/commands/actor/heal.ts
-  var onCommand3 = (handler, args) => {
-    if (args.length < 2) {
-      handler.log("Usage: /heal [name]");
-      return;
+  var heal_default = {
+    description: "Restore an active actor's HP and MP",
+    args: [{ name: "name", type: "actor", active: true }],
+    run: (handler, { name: actor }) => {
+      actor.setHp(actor.mhp);
+      actor.setMp(actor.mmp);
+      handler.log(`${actor._characterName} has been healed!`);
     }
-    const actor = findActiveActor(args[1]);
-    if (actor === null) {
-      handler.log(`Actor "${args[1]}" not found`, "red");
-      return;
-    }
-    actor.setHp(actor.mhp);
-    actor.setMp(actor.mmp);
-    handler.log(`${actor._characterName} has been healed!`);
   };
-  var heal_default = { onCommand: onCommand3, onSuggestion: onSuggestionActive };
 
   // src/commands/actor/hp.ts
-  var onCommand4 = (handler, args) => {
-    if (args.length < 3) {
-      handler.log("Usage: /hp [name] [value]");
-      return;
-    }
-    const actor = findActiveActor(args[1]);
-    if (actor === null) {
-      handler.log(`Actor ${args[1]} not found`, "red");
-      return;
-    }
-    const value = args[2] === "max" ? actor.mhp : parseInt(args[2]);
-    if (isValidInteger(value)) {
-      actor.setHp(value);
-      handler.log(`Set ${actor._characterName}'s HP to ${value}`);
-      return;
+  var hp_default = {
+    description: "Set an active actor's HP",
+    args: [
+      { name: "name", type: "actor", active: true },
+      { name: "value", type: "number", values: ["max"], min: 0 }
+    ],
+    run: (handler, { name: actor, value }) => {
+      const hp = value === "max" ? actor.mhp : value;
+      actor.setHp(hp);
+      handler.log(`Set ${actor._characterName}'s HP to ${hp}`);
     }
-    handler.log(`${value} is not a valid integer`, "red");
   };
-  var hp_default = { onCommand: onCommand4, onSuggestion: onSuggestionValue };
 
   // src/commands/actor/mp.ts
-  var onCommand5 = (handler, args) => {
-    if (args.length < 3) {
-      handler.log("Usage: /mp [name] [value]");
-      return;
-    }
-    const actor = findActiveActor(args[1]);
-    if (actor === null) {
-      handler.log(`Actor ${args[1]} not found`, "red");
-      return;
-    }
-    const value = args[2] === "max" ? actor.mmp : parseInt(args[2]);
-    if (isValidInteger(value)) {
-      actor.setMp(value);
-      handler.log(`Set ${actor._characterName}'s MP to ${value}`);
-      return;
+  var mp_default = {
+    description: "Set an active actor's MP",
+    args: [
+      { name: "name", type: "actor", active: true },
+      { name: "value", type: "number", values: ["max"], min: 0 }
+    ],
+    run: (handler, { name: actor, value }) => {
+      const mp = value === "max" ? actor.mmp : value;
+      actor.setMp(mp);
+      handler.log(`Set ${actor._characterName}'s MP to ${mp}`);
     }
-    handler.log(`${value} is not a valid integer`, "red");
   };
-  var mp_default = { onCommand: onCommand5, onSuggestion: onSuggestionValue };
 
   // src/commands/actor/addskill.ts
   var namedSkills = null;
@@ -574,54 +835,33 @@
     }
     return namedSkills;
   };
-  var onCommand6 = (handler, args) => {
-    if (args.length < 3) {
-      handler.log("Usage: /addskill [actor] [name]");
-      return;
-    }
-    const actor = findActiveActor(args[1]);
-    if (actor === null) {
-      handler.log(`Actor ${args[1]} not found`, "red");
-      return;
-    }
-    const skill = findFromVariable(
-      $dataSkills,
-      args[2],
-      "name"
-    );
-    if (skill === null) {
-      handler.log(`Skill "${args[2]}" not found`, "red");
-      return;
-    }
-    if (!actor._skills.includes(skill.id)) {
-      actor._equippedSkills.push(skill.id);
-      handler.log(
-        `Added Skill "${skill.name}" for ${actor._characterName}`
-      );
-      return;
-    }
-    handler.log(`Skill "${skill.name}" is already added.`, "red");
-  };
-  var onSuggestion3 = (args) => {
-    if (args.length === 2) {
-      return onSuggestionActive(args);
-    }
-    if (args.length === 3) {
-      return getSkillsByName();
+  var addskill_default = {
+    description: "Teach a skill to an active actor",
+    args: [
+      { name: "actor", type: "actor", active: true },
+      { name: "name", type: "skill" }
+    ],
+    run: (handler, { actor, name: skill }) => {
+      if (!actor._skills.includes(skill.id)) {
+        actor._equippedSkills.push(skill.id);
+        handler.log(
+          `Added Skill "${skill.name}" for ${actor._characterName}`
+        );
+        return;
+      }
+      handler.fail(`Skill "${skill.name}" is already added.`);
     }
-    return [];
   };
-  var addskill_default = { onCommand: onCommand6, onSuggestion: onSuggestion3 };
 
   // src/commands/actor/removeskill.ts
   var onCommand7 = (handler, args) => {
     if (args.length < 3) {
-      handler.log("Usage: /removeskill [actor] [name]");
+      handler.fail("Usage: /removeskill [actor] [name]", "#fff");
       return;
     }
     const actor = findActiveActor(args[1]);
     if (actor === null) {
-      handler.log(`Actor ${args[1]} not found`, "red");
+      handler.fail(`Actor ${args[1]} not found`);
       return;
     }
     const skill = findFromVariable(
@@ -630,7 +870,7 @@
       "name"
     );
     if (skill === null) {
-      handler.log(`Skill "${args[2]}" not found`, "red");
+      handler.fail(`Skill "${args[2]}" not found`);
       return;
     }
     const index = actor._equippedSkills.indexOf(skill.id);
@@ -699,12 +939,12 @@
   };
   var onCommand8 = (handler, args) => {
     if (args.length < 2) {
-      handler.log("Usage: /battle [id | name] [x = 0] [y = 0]");
+      handler.fail("Usage: /battle [id | name] [x = 0] [y = 0]", "#fff");
       return;
     }
     const battle = findFromVariable($dataTroops, args[1]);
     if (battle === null) {
-      handler.log(`Battle "${args[1]}" not found`, "red");
+      handler.fail(`Battle "${args[1]}" not found`);
       return;
     }
     if ($gameParty.inBattle()) {
@@ -719,7 +959,7 @@
       return;
     }
     if (!SceneManager._scene._mapLoaded) {
-      handler.log("Player must be in map", "red");
+      handler.fail("Player must be in map");
       return;
     }
     handler.log(`Starting a battle with "${battle.name}"`);
@@ -747,7 +987,7 @@
   var endbattle_default = {
     onCommand: (handler) => {
       if (!$gameParty.inBattle()) {
-        handler.log("Player must be in battle.", "red");
+        handler.fail("Player must be in battle.");
         return;
       }
       handler.toggleConsole();
@@ -780,11 +1020,11 @@
   var supportedFonts = ["monospace", "sans-serif", "GameFont"];
   var onCommand9 = (handler, args) => {
     if (args.length < 2) {
-      handler.log("Usage: /font [font]");
+      handler.fail("Usage: /font [font]", "#fff");
       return;
     }
     if (!supportedFonts.includes(args[1])) {
-      handler.log(`Unknown font ${args[1]}`, "red");
+      handler.fail(`Unknown font ${args[1]}`);
       return;
     }
     handler.consoleElement.style.fontFamily = args[1];
@@ -824,7 +1064,7 @@
   };
   var onCommand10 = (handler, args) => {
     if (args.length < 2) {
-      handler.log("/event [name]");
+      handler.fail("/event [name]", "#fff");
       return;
     }
     const event = findFromVariable(
@@ -833,7 +1073,7 @@
       "name"
     );
     if (event === null) {
-      handler.log(`Event "${args[1]}" not found.`);
+      handler.fail(`Event "${args[1]}" not found.`);
       return;
     }
     if (!(SceneManager._scene instanceof Scene_Map || SceneManager._scene instanceof Scene_Battle)) {
@@ -854,12 +1094,12 @@
   var namedSwitches = null;
   var onCommand11 = (handler, args) => {
     if (args.length < 2) {
-      handler.log("/switch [name] [on | off]");
+      handler.fail("/switch [name] [on | off]", "#fff");
       return;
     }
     const id = $dataSystem.switches.indexOf(args[1]);
     if (id === -1) {
-      handler.log(`Switch "${args[2]}" not found`, "red");
+      handler.fail(`Switch "${args[2]}" not found`);
       return;
     }
     if (args.length === 2) {
@@ -869,7 +1109,7 @@
       return;
     }
     if (!["on", "off"].contains(args[2])) {
-      handler.log(`Expected on or off got ${args[2]}`, "red");
+      handler.fail(`Expected on or off got ${args[2]}`);
       return;
     }
     $gameSwitches.setValue(id, args[2] === "on");
@@ -914,12 +1154,12 @@
   };
   var onCommand12 = (handler, args) => {
     if (args.length < 2) {
-      handler.log("/variable [name] [value]");
+      handler.fail("/variable [name] [value]", "#fff");
       return;
     }
     const variable = $dataSystem.variables.indexOf(args[1]);
     if (variable === -1) {
-      handler.log(`"${args[1]}" not found.`);
+      handler.fail(`"${args[1]}" not found.`);
       return;
     }
     if (args.length === 2) {
@@ -958,7 +1198,7 @@
   };
   var onCommand13 = (handler, args) => {
     if (args.length < 2) {
-      handler.log("/item [name] [quantity | max]");
+      handler.fail("/item [name] [quantity | max]", "#fff");
       return;
     }
     const item = findFromVariable(
@@ -966,7 +1206,7 @@
       args[1]
     );
     if (item === null) {
-      handler.log(`Item ${args[1]} not found.`);
+      handler.fail(`Item ${args[1]} not found.`);
       return;
     }
     const value = args[2] === "max" ? $gameParty.maxItems(item) : parseInt(args[2]);
@@ -975,7 +1215,7 @@
       handler.log(`Quantity of ${args[1]} is set to ${value}`);
       return;
     }
-    handler.log(`Value ${value} is not valid`);
+    handler.fail(`Value ${value} is not valid`);
   };
   var onSuggestion10 = (args) => {
     if (args.length === 2) {
@@ -1009,8 +1249,9 @@
   };
   var onCommand14 = (handler, args) => {
     if (args.length < 2) {
-      handler.log(
-        "Usage: /bgm [name] [volume = 100] [pitch = 100]"
+      handler.fail(
+        "Usage: /bgm [name] [volume = 100] [pitch = 100]",
+        "#fff"
       );
       return;
     }
@@ -1024,7 +1265,7 @@
     }
     const bgmExension = Utils.isOptionValid("test") ? "ogg" : "rpgmvo";
     if (!fs.existsSync(`${base}/audio/bgm/${args[1]}.${bgmExension}`)) {
-      handler.log(`BGM ${args[1]} not found.`, "red");
+      handler.fail(`BGM ${args[1]} not found.`);
       return;
     }
     handler.log(
@@ -1060,7 +1301,7 @@
       try {
         handler.log((0, eval)(args.join(" ")));
       } catch (e) {
-        handler.log(e, "red");
+        handler.fail(e);
       }
     },
     onSuggestion: null
@@ -1070,7 +1311,7 @@
   var restartbattle_default = {
     onCommand: (handler) => {
       if (!$gameParty.inBattle()) {
-        handler.log("Player must be in battle.", "red");
+        handler.fail("Player must be in battle.");
         return;
       }
       BattleManager.processRetry();
@@ -1083,15 +1324,15 @@
   var onCommand15 = (handler, args) => {
     const id = args.length < 2 ? DataManager._lastAccessedId : parseInt(args[1]);
     if (isNaN(id)) {
-      handler.log("Expected a number", "red");
+      handler.fail("Expected a number");
       return;
     }
     if (id < 1 || id > 6) {
-      handler.log("Invalid Save ID", "red");
+      handler.fail("Invalid Save ID");
       return;
     }
     if (!DataManager.saveGame(id)) {
-      handler.log(`Failed to Save on id ${id}`, "red");
+      handler.fail(`Failed to Save on id ${id}`);
       return;
     }
     SoundManager.playSave();
@@ -1103,18 +1344,17 @@
   // src/commands/load.ts
   var onCommand16 = (handler, args) => {
     if (args.length < 2) {
-      handler.log("/load [saveid]");
+      handler.fail("/load [saveid]", "#fff");
       return;
     }
     const id = parseInt(args[1]);
     if (!isValidInteger(id)) {
-      handler.log("Expected a number", "red");
+      handler.fail("Expected a number");
       return;
     }
     if (!Galv.ASPLASH.splashed) {
-      handler.log(
-        "Can not load a save file during splash screen.",
-        "red"
+      handler.fail(
+        "Can not load a save file during splash screen."
       );
       return;
     }
@@ -1150,7 +1390,7 @@ ${e.stack}`,
       }, 100);
       return;
     }
-    handler.log(`Failed to load gamefile ${id}`, "red");
+    handler.fail(`Failed to load gamefile ${id}`);
   };
   var onSuggestion13 = null;
   var load_default = { onCommand: onCommand16, onSuggestion: onSuggestion13 };
@@ -1176,8 +1416,9 @@ ${e.stack}`,
   };
   var onCommand17 = (handler, args) => {
     if (args.length < 2) {
-      handler.log(
-        "Usage: /sfx [name] [volume = 100] [pitch = 100]"
+      handler.fail(
+        "Usage: /sfx [name] [volume = 100] [pitch = 100]",
+        "#fff"
       );
       return;
     }
@@ -1191,7 +1432,7 @@ ${e.stack}`,
     }
     const bgmExension = Utils.isOptionValid("test") ? "ogg" : "rpgmvo";
     if (!fs2.existsSync(`${base2}/audio/se/${args[1]}.${bgmExension}`)) {
-      handler.log(`BGM ${args[1]} not found.`, "red");
+      handler.fail(`BGM ${args[1]} not found.`);
       return;
     }
     handler.log(
@@ -1250,17 +1491,17 @@ ${e.stack}`,
   // src/commands/eventinfo.ts
   var onCommand18 = (handler, args) => {
     if (args.length < 2) {
-      handler.log("/eventinfo [id | name]");
+      handler.fail("/eventinfo [id | name]", "#fff");
       return;
     }
     const parsedValue = parseInt(args[1]);
     if (!isValidInteger(parsedValue)) {
-      handler.log("Expected an integer", "red");
+      handler.fail("Expected an integer");
       return;
     }
     const event = $gameMap._events[parsedValue];
     if (event === void 0) {
-      handler.log(`Event ${args[1]} not found.`, "red");
+      handler.fail(`Event ${args[1]} not found.`);
       return;
     }
     const inner = event.event();
@@ -1311,8 +1552,21 @@ ${e.stack}`,
         namedMaps.push(addQuotes($dataMapInfos[i].name));
       }
     }
+    for (const map of getStringMaps()) {
+      namedMaps.push(addQuotes(map.id));
+    }
     return namedMaps;
   }
+  function getStringMaps() {
+    return Object.keys($dataMapInfos).filter((key) => isNaN(key)).map((key) => $dataMapInfos[key]);
+  }
+  function findMap(value) {
+    const map = findFromVariable($dataMapInfos, value);
+    if (map !== null) {
+      return map;
+    }
+    return getStringMaps().find((stringMap) => stringMap.id === value || stringMap.name === value) || null;
+  }
   var TeleportScene = class extends Scene_Map {
     createDisplayObjects() {
       super.createDisplayObjects();
@@ -1367,36 +1621,34 @@ ${e.stack}`,
     if (args.length < 2) {
       const currentMap = $dataMapInfos[$gameMap == null ? void 0 : $gameMap._mapId];
       if (!currentMap) {
-        handler.log("Unknown map", "red");
+        handler.fail("Unknown map");
         return;
       }
       handler.log(`Id: ${currentMap.id} Name: ${currentMap.name}`);
       return;
     }
     if (!SceneManager._scene._mapLoaded) {
-      handler.log("Player must be in map", "red");
+      handler.fail("Player must be in map");
       return;
     }
-    const map = findFromVariable($dataMapInfos, args[1]);
+    const map = findMap(args[1]);
     if (map === null) {
-      handler.log(`Map "${args[1]}" not found`, "red");
+      handler.fail(`Map "${args[1]}" not found`);
       return;
     }
     if (!Utils.isOptionValid("test")) {
       if (process.mainModule) {
         const base3 = path3.dirname(process.mainModule.filename);
         if (!fs3.existsSync(`${base3}/maps/map${map.id}.AUBREY`)) {
-          handler.log(
-            `Could not teleport to "${map.name}", because ${base3}/maps/map${map.id}.AUBREY is missing.`,
-            "red"
+          handler.fail(
+            `Could not teleport to "${map.name}", because ${base3}/maps/map${map.id}.AUBREY is missing.`
           );
           return;
         }
       }
     } else if (!fs3.existsSync(`./maps/Map${map.id}.json`)) {
-      handler.log(
-        `Could not teleport to "${map.name}", because ./maps/Map${map.id}.json is missing.`,
-        "red"
+      handler.fail(
+        `Could not teleport to "${map.name}", because ./maps/Map${map.id}.json is missing.`
       );
       return;
     }
@@ -1404,8 +1656,14 @@ ${e.stack}`,
     $gameTemp._previousTeleportX = $gamePlayer.x;
     $gameTemp._previousTeleportY = $gamePlayer.y;
     $gameTemp._previousTeleportMap = $gameMap.mapId();
-    SceneManager.push(TeleportScene);
-    $gamePlayer.reserveTransfer(map.id, 0, 0, 2, 0);
+    const x = parseInt(args[2]);
+    const y = parseInt(args[3]);
+    if (isValidInteger(x) && isValidInteger(y)) {
+      $gamePlayer.reserveTransfer(map.id, x, y, 2, 0);
+    } else {
+      SceneManager.push(TeleportScene);
+      $gamePlayer.reserveTransfer(map.id, 0, 0, 2, 0);
+    }
     $gamePlayer.requestMapReload();
     handler.setConsole(false);
     $gameScreen.clear();
@@ -1426,6 +1684,554 @@ ${e.stack}`,
   };
   var map_default = { onCommand: onCommand19, onSuggestion: onSuggestion16 };
 
+  // src/commands/run.ts
+  var fs4 = __require("fs");
+  var path4 = __require("path");
+  var base4 = path4.dirname(
+    process.mainModule ? process.mainModule.filename : "."
+  );
+  var scriptsFolder = `${base4}/console`;
+  var getScriptsByName = () => {
+    if (!fs4.existsSync(scriptsFolder)) {
+      return [];
+    }
+    const result = [];
+    fs4.readdirSync(scriptsFolder).forEach((file) => {
+      if (file.endsWith(".txt")) {
+        result.push(addQuotes(file.substring(0, file.lastIndexOf("."))));
+      }
+    });
+    return result;
+  };
+  var onCommand20 = (handler, args) => {
+    if (args.length < 2) {
+      handler.fail("Usage: /run [file]", "#fff");
+      return;
+    }
+    const name = args[1].endsWith(".txt") ? args[1] : `${args[1]}.txt`;
+    const file = `${scriptsFolder}/${name}`;
+    if (!fs4.existsSync(file)) {
+      handler.fail(`Script ${file} not found.`);
+      return;
+    }
+    runBatch(
+      handler,
+      name,
+      fs4.readFileSync(file, "utf8").split(/\r?\n/)
+    );
+  };
+  var onSuggestion17 = (args) => {
+    if (args.length === 2) {
+      return getScriptsByName();
+    }
+    return [];
+  };
+  var run_default = { onCommand: onCommand20, onSuggestion: onSuggestion17 };
+
+  // src/commands/macro.ts
+  var macroSubcommands = ["add", "remove", "list"];
+  var macros = JSON.parse(localStorage.getItem("macros") || "{}");
+  var saveMacros = () => {
+    localStorage.setItem("macros", JSON.stringify(macros));
+  };
+  var onCommand21 = (handler, args) => {
+    if (args.length < 2 || args[1] === "list") {
+      const names = Object.keys(macros).sort();
+      if (names.length === 0) {
+        handler.log("No macros defined. Usage: /macro add [name] [command; command...]");
+        return;
+      }
+      for (let i = 0; i < names.length; ++i) {
+        handler.log(`${names[i]}: ${macros[names[i]].join("; ")}`);
+      }
+      return;
+    }
+    if (args[1] === "add") {
+      if (args.length < 4) {
+        handler.fail("Usage: /macro add [name] [command; command...]", "#fff");
+        return;
+      }
+      if (macroSubcommands.includes(args[2])) {
+        handler.fail(`"${args[2]}" can not be used as a macro name.`);
+        return;
+      }
+      const lines = args.slice(3).map(addQuotes).join(" ").split(";").map((line) => line.trim()).filter((line) => line.length > 0);
+      macros[args[2]] = lines;
+      saveMacros();
+      handler.log(`Saved macro "${args[2]}" with ${lines.length} commands.`);
+      return;
+    }
+    if (args[1] === "remove") {
+      if (args.length < 3) {
+        handler.fail("Usage: /macro remove [name]", "#fff");
+        return;
+      }
+      if (!(args[2] in macros)) {
+        handler.fail(`Macro "${args[2]}" not found.`);
+        return;
+      }
+      delete macros[args[2]];
+      saveMacros();
+      handler.log(`Removed macro "${args[2]}".`);
+      return;
+    }
+    if (!(args[1] in macros)) {
+      handler.fail(`Macro "${args[1]}" not found.`);
+      return;
+    }
+    runBatch(handler, `macro ${args[1]}`, macros[args[1]]);
+  };
+  var onSuggestion18 = (args) => {
+    if (args.length === 2) {
+      return macroSubcommands.concat(Object.keys(macros));
+    }
+    if (args.length === 3 && args[1] === "remove") {
+      return Object.keys(macros);
+    }
+    return [];
+  };
+  var macro_default = { onCommand: onCommand21, onSuggestion: onSuggestion18 };
+
+  // src/commands/watch.ts
+  var watchPanel = new WatchPanel();
+  var watchTypes = ["switch", "variable", "selfswitch", "hp", "mp", "states"];
+  var watchSubcommands = watchTypes.concat(["remove", "clear", "hide", "show"]);
+  var findSystemId = (names, value) => {
+    const id = parseInt(value);
+    if (isValidInteger(id) && id > 0 && id < names.length) {
+      return id;
+    }
+    return names.indexOf(value);
+  };
+  var onCommand22 = (handler, args) => {
+    if (args.length < 2) {
+      if (watchPanel.entries.length === 0) {
+        handler.log(
+          `Usage: /watch [${watchSubcommands.join(" | ")}] [target]`
+        );
+        return;
+      }
+      for (let i = 0; i < watchPanel.entries.length; ++i) {
+        handler.log(`${i}: ${describeWatchEntry(watchPanel.entries[i])}`);
+      }
+      return;
+    }
+    switch (args[1]) {
+      case "remove": {
+        const index = parseInt(args[2]);
+        if (!isValidInteger(index) || !watchPanel.entries[index]) {
+          handler.fail("Usage: /watch remove [index]", "#fff");
+          return;
+        }
+        handler.log(`No longer watching ${describeWatchEntry(watchPanel.entries[index])}`);
+        watchPanel.remove(index);
+        return;
+      }
+      case "clear":
+        watchPanel.clear();
+        handler.log("Watch list cleared.");
+        return;
+      case "hide":
+      case "show":
+        watchPanel.setVisible(args[1] === "show");
+        return;
+      case "switch":
+      case "variable": {
+        if (args.length < 3) {
+          handler.fail(`Usage: /watch ${args[1]} [id | name]`, "#fff");
+          return;
+        }
+        const names = args[1] === "switch" ? $dataSystem.switches : $dataSystem.variables;
+        const id = findSystemId(names, args[2]);
+        if (id < 1) {
+          handler.fail(`${args[1]} "${args[2]}" not found`);
+          return;
+        }
+        watchPanel.add({ type: args[1], id });
+        break;
+      }
+      case "selfswitch": {
+        if (args.length < 4) {
+          handler.fail("Usage: /watch selfswitch [event] [A | B | C | D] [map = current]", "#fff");
+          return;
+        }
+        const id = parseInt(args[2]);
+        const mapId = args.length > 4 ? parseInt(args[4]) : $gameMap.mapId();
+        const letter = args[3].toUpperCase();
+        if (!isValidInteger(id) || !isValidInteger(mapId)) {
+          handler.fail("Expected an integer");
+          return;
+        }
+        if (!["A", "B", "C", "D"].includes(letter)) {
+          handler.fail(`Expected A, B, C or D got ${args[3]}`);
+          return;
+        }
+        watchPanel.add({ type: "selfswitch", id, mapId, letter });
+        break;
+      }
+      case "hp":
+      case "mp":
+      case "states": {
+        if (args.length < 3) {
+          handler.fail(`Usage: /watch ${args[1]} [actor]`, "#fff");
+          return;
+        }
+        const actor = findFromVariable($dataActors, args[2], "characterName");
+        if (actor === null) {
+          handler.fail(`Actor ${args[2]} not found`);
+          return;
+        }
+        watchPanel.add({ type: args[1], id: actor.id });
+        break;
+      }
+      default:
+        handler.fail(`Unknown watch type ${args[1]}`);
+        return;
+    }
+    handler.log(`Watching ${describeWatchEntry(watchPanel.entries[watchPanel.entries.length - 1])}`);
+  };
+  var onSuggestion19 = (args) => {
+    if (args.length === 2) {
+      return watchSubcommands;
+    }
+    if (args.length !== 3) {
+      return [];
+    }
+    switch (args[1]) {
+      case "switch":
+        return getSwitchesByName();
+      case "variable":
+        return getVariablesByName();
+      case "hp":
+      case "mp":
+      case "states":
+        return getActorsByName();
+      case "remove":
+        return watchPanel.entries.map((entry, index) => String(index));
+    }
+    return [];
+  };
+  var watch_default = { onCommand: onCommand22, onSuggestion: onSuggestion19 };
+
+  // src/commands/snapshot/utils.ts
+  var snapshots = {};
+  var takeSnapshot = () => {
+    return {
+      switches: $gameSwitches._data.slice(),
+      variables: JsonEx.makeDeepCopy($gameVariables._data),
+      selfSwitches: Object.assign({}, $gameSelfSwitches._data),
+      party: JsonEx.stringify($gameParty),
+      actors: JsonEx.stringify($gameActors),
+      mapId: $gameMap.mapId(),
+      x: $gamePlayer.x,
+      y: $gamePlayer.y,
+      direction: $gamePlayer.direction()
+    };
+  };
+  var getSnapshotsByName = () => {
+    return Object.keys(snapshots).sort().map(addQuotes);
+  };
+  var onSuggestionSnapshot = (args) => {
+    if (args.length === 2) {
+      return getSnapshotsByName();
+    }
+    return [];
+  };
+  var formatSwitch = (value) => {
+    return value === true ? "on" : "off";
+  };
+  var formatVariable = (value) => {
+    return typeof value === "object" ? JSON.stringify(value) : String(value || 0);
+  };
+  var getPartyMembers = (snapshot) => {
+    return JsonEx.parse(snapshot.party)._actors.map(
+      (id) => $dataActors[id] ? $dataActors[id].characterName || $dataActors[id].name : id
+    ).join(", ");
+  };
+  var diffSnapshots = (a, b) => {
+    const result = [];
+    const switchCount = Math.max(a.switches.length, b.switches.length);
+    for (let i = 1; i < switchCount; ++i) {
+      if (formatSwitch(a.switches[i]) !== formatSwitch(b.switches[i])) {
+        result.push(
+          `S${i} ${$dataSystem.switches[i] || ""}: ${formatSwitch(a.switches[i])} -> ${formatSwitch(b.switches[i])}`
+        );
+      }
+    }
+    const variableCount = Math.max(a.variables.length, b.variables.length);
+    for (let i = 1; i < variableCount; ++i) {
+      const before = formatVariable(a.variables[i]);
+      const after = formatVariable(b.variables[i]);
+      if (before !== after) {
+        result.push(
+          `V${i} ${$dataSystem.variables[i] || ""}: ${before} -> ${after}`
+        );
+      }
+    }
+    const keys = Object.keys(Object.assign({}, a.selfSwitches, b.selfSwitches)).sort();
+    for (let i = 0; i < keys.length; ++i) {
+      const before = formatSwitch(a.selfSwitches[keys[i]]);
+      const after = formatSwitch(b.selfSwitches[keys[i]]);
+      if (before !== after) {
+        result.push(`Self switch ${keys[i]}: ${before} -> ${after}`);
+      }
+    }
+    const partyBefore = getPartyMembers(a);
+    const partyAfter = getPartyMembers(b);
+    if (partyBefore !== partyAfter) {
+      result.push(`Party: ${partyBefore} -> ${partyAfter}`);
+    }
+    if (a.mapId !== b.mapId || a.x !== b.x || a.y !== b.y) {
+      result.push(
+        `Position: Map${a.mapId} (${a.x}, ${a.y}) -> Map${b.mapId} (${b.x}, ${b.y})`
+      );
+    }
+    return result;
+  };
+
+  // src/commands/snapshot/snapshot.ts
+  var onCommand23 = (handler, args) => {
+    if (args.length < 2) {
+      const names = getSnapshotsByName();
+      handler.log(
+        names.length > 0 ? `Snapshots: ${names.join(", ")}` : "Usage: /snapshot [name]"
+      );
+      return;
+    }
+    if (!$gameMap || $gameMap.mapId() === 0) {
+      handler.fail("Player must be in map");
+      return;
+    }
+    const replaced = args[1] in snapshots;
+    snapshots[args[1]] = takeSnapshot();
+    handler.log(
+      `${replaced ? "Replaced" : "Saved"} snapshot "${args[1]}"`
+    );
+  };
+  var snapshot_default = { onCommand: onCommand23, onSuggestion: onSuggestionSnapshot };
+
+  // src/commands/snapshot/restore.ts
+  var onCommand24 = (handler, args) => {
+    if (args.length < 2) {
+      handler.fail("Usage: /restore [name]", "#fff");
+      return;
+    }
+    const snapshot = snapshots[args[1]];
+    if (!snapshot) {
+      handler.fail(`Snapshot "${args[1]}" not found`);
+      return;
+    }
+    if ($gameParty.inBattle() || !SceneManager._scene._mapLoaded) {
+      handler.fail("Player must be in map");
+      return;
+    }
+    $gameSwitches._data = snapshot.switches.slice();
+    $gameVariables._data = JsonEx.makeDeepCopy(snapshot.variables);
+    $gameSelfSwitches._data = Object.assign({}, snapshot.selfSwitches);
+    $gameParty = JsonEx.parse(snapshot.party);
+    $gameActors = JsonEx.parse(snapshot.actors);
+    handler.log(`Restoring snapshot "${args[1]}"`);
+    handler.setConsole(false);
+    $gameMap._interpreter.clear();
+    SceneManager._scene._messageWindow.terminateMessage();
+    $gamePlayer.reserveTransfer(
+      snapshot.mapId,
+      snapshot.x,
+      snapshot.y,
+      snapshot.direction,
+      0
+    );
+    $gamePlayer.requestMapReload();
+    $gamePlayer.refresh();
+    $gameMap.requestRefresh();
+  };
+  var restore_default = { onCommand: onCommand24, onSuggestion: onSuggestionSnapshot };
+
+  // src/commands/snapshot/diff.ts
+  var onCommand25 = (handler, args) => {
+    if (args.length < 2) {
+      handler.fail("Usage: /diff [snapshot] [snapshot = current]", "#fff");
+      return;
+    }
+    const names = args.slice(1, 3);
+    for (let i = 0; i < names.length; ++i) {
+      if (!(names[i] in snapshots)) {
+        handler.fail(`Snapshot "${names[i]}" not found`);
+        return;
+      }
+    }
+    const a = snapshots[names[0]];
+    const b = names.length > 1 ? snapshots[names[1]] : takeSnapshot();
+    const differences = diffSnapshots(a, b);
+    if (differences.length === 0) {
+      handler.log("No differences.");
+      return;
+    }
+    for (let i = 0; i < differences.length; ++i) {
+      handler.log(differences[i]);
+    }
+  };
+  var onSuggestion20 = (args) => {
+    if (args.length === 2 || args.length === 3) {
+      return getSnapshotsByName();
+    }
+    return [];
+  };
+  var diff_default = { onCommand: onCommand25, onSuggestion: onSuggestion20 };
+
+  // src/schema.ts
+  var namedStates = null;
+  var getStatesByName = () => {
+    if (namedStates !== null) {
+      return namedStates;
+    }
+    namedStates = [];
+    for (let i = 1; i < $dataStates.length; ++i) {
+      if ($dataStates[i] && $dataStates[i].name.length > 0) {
+        namedStates.push(mergeIDAndName(i, $dataStates[i].name));
+      }
+    }
+    return namedStates;
+  };
+  var findDatabaseEntry = (label, dest, name = "name") => {
+    return {
+      parse: (raw) => {
+        const value = findFromVariable(dest(), raw, name);
+        return value !== null ? { value } : { error: `${label} "${raw}" not found` };
+      }
+    };
+  };
+  var findSystemEntry = (label, names) => {
+    return {
+      parse: (raw) => {
+        const id = findSystemId(names(), raw);
+        return id > 0 ? { value: id } : { error: `${label} "${raw}" not found` };
+      }
+    };
+  };
+  var argumentTypes = {
+    actor: {
+      parse: (raw, arg) => {
+        const value = arg.active ? findActiveActor(raw) : findFromVariable($dataActors, raw, "characterName");
+        if (value === null) {
+          return { error: `Actor ${raw} not found` };
+        }
+        return { value: arg.active ? value : $gameActors.actor(value.id) };
+      },
+      suggest: (arg) => arg.active ? getActiveActorsByName() : getActorsByName()
+    },
+    item: Object.assign(findDatabaseEntry("Item", () => $dataItems), {
+      suggest: () => getItemsByName()
+    }),
+    skill: Object.assign(findDatabaseEntry("Skill", () => $dataSkills), {
+      suggest: () => getSkillsByName()
+    }),
+    state: Object.assign(findDatabaseEntry("State", () => $dataStates), {
+      suggest: () => getStatesByName()
+    }),
+    map: {
+      parse: (raw) => {
+        const value = findMap(raw);
+        return value !== null ? { value } : { error: `Map "${raw}" not found` };
+      },
+      suggest: () => getMapsbyName()
+    },
+    switch: Object.assign(findSystemEntry("Switch", () => $dataSystem.switches), {
+      suggest: () => getSwitchesByName()
+    }),
+    variable: Object.assign(findSystemEntry("Variable", () => $dataSystem.variables), {
+      suggest: () => getVariablesByName()
+    }),
+    number: {
+      parse: (raw, arg) => {
+        if (arg.values && arg.values.includes(raw)) {
+          return { value: raw };
+        }
+        const value = parseInt(raw);
+        if (!isValidInteger(value)) {
+          return { error: `${raw} is not a valid integer` };
+        }
+        if (arg.min !== void 0 && value < arg.min) {
+          return { error: `${arg.name} must be at least ${arg.min}` };
+        }
+        if (arg.max !== void 0 && value > arg.max) {
+          return { error: `${arg.name} must be at most ${arg.max}` };
+        }
+        return { value };
+      },
+      suggest: (arg) => arg.values || []
+    },
+    enum: {
+      parse: (raw, arg) => {
+        if (!arg.values.includes(raw)) {
+          return { error: `Expected ${arg.values.join(" or ")} got ${raw}` };
+        }
+        return { value: raw };
+      },
+      suggest: (arg) => arg.values
+    }
+  };
+  var parseArgument = (arg, raw) => {
+    const type = argumentTypes[arg.type];
+    if (!type) {
+      return { error: `Unknown argument type ${arg.type}` };
+    }
+    return type.parse(raw, arg);
+  };
+  var suggestArgument = (arg, args) => {
+    const type = argumentTypes[arg.type];
+    return type && type.suggest ? type.suggest(arg, args) : [];
+  };
+  var isOptionalArgument = (arg) => arg.optional === true || arg.default !== void 0;
+  var formatUsage = (name, schema) => {
+    const parts = schema.map((arg) => {
+      const label = arg.type === "enum" ? arg.values.join(" | ") : arg.name;
+      if (arg.default !== void 0) {
+        return `[${label} = ${arg.default}]`;
+      }
+      return arg.optional ? `[${label}?]` : `[${label}]`;
+    });
+    return `Usage: /${[name].concat(parts).join(" ")}`;
+  };
+
+  // src/commands/help.ts
+  var onCommand26 = (handler, args) => {
+    if (args.length < 2) {
+      const names = Object.keys(handler.commands).sort();
+      for (let i = 0; i < names.length; ++i) {
+        const definition = handler.definitions[names[i]];
+        handler.log(
+          definition && definition.description ? `/${names[i]} - ${definition.description}` : `/${names[i]}`
+        );
+      }
+      return;
+    }
+    if (!(args[1] in handler.commands)) {
+      handler.fail(`Command ${args[1]} not found.`);
+      return;
+    }
+    const definition = handler.definitions[args[1]];
+    if (!definition) {
+      handler.log(`No help available for /${args[1]}.`);
+      return;
+    }
+    if (definition.description) {
+      handler.log(definition.description);
+    }
+    handler.log(definition.usage);
+    const schema = definition.args || [];
+    for (let i = 0; i < schema.length; ++i) {
+      handler.log(`  ${schema[i].name}: ${schema[i].type}${isOptionalArgument(schema[i]) ? " (optional)" : ""}`);
+    }
+  };
+  var onSuggestion21 = (args) => {
+    if (args.length === 2) {
+      return Object.keys(window.commands.commands).sort();
+    }
+    return [];
+  };
+  var help_default = { onCommand: onCommand26, onSuggestion: onSuggestion21 };
+
   // src/main.ts
   window.commands = window.commands || new CommandHandler();
   window.commands.add(
@@ -1438,9 +2244,9 @@ ${e.stack}`,
     removeparty_default.onCommand,
     removeparty_default.onSuggestion
   );
-  window.commands.add("heal", heal_default.onCommand, heal_default.onSuggestion);
-  window.commands.add("hp", hp_default.onCommand, hp_default.onSuggestion);
-  window.commands.add("mp", mp_default.onCommand, mp_default.onSuggestion);
+  window.commands.define("heal", heal_default);
+  window.commands.define("hp", hp_default);
+  window.commands.define("mp", mp_default);
   window.commands.add("reload", reload_default.onCommand, reload_default.onSuggestion);
   window.commands.add("clear", clear_default.onCommand, clear_default.onSuggestion);
   window.commands.add("font", font_default.onCommand, font_default.onSuggestion);
@@ -1459,11 +2265,7 @@ ${e.stack}`,
   );
   window.commands.add("item", item_default.onCommand, item_default.onSuggestion);
   window.commands.add("bgm", bgm_default.onCommand, bgm_default.onSuggestion);
-  window.commands.add(
-    "addskill",
-    addskill_default.onCommand,
-    addskill_default.onSuggestion
-  );
+  window.commands.define("addskill", addskill_default);
   window.commands.add(
     "removeskill",
     removeskill_default.onCommand,
@@ -1502,6 +2304,17 @@ ${e.stack}`,
     map_default.onSuggestion
   );
   window.commands.add("map", map_default.onCommand, map_default.onSuggestion);
+  window.commands.add("run", run_default.onCommand, run_default.onSuggestion);
+  window.commands.add("macro", macro_default.onCommand, macro_default.onSuggestion);
+  window.commands.add("watch", watch_default.onCommand, watch_default.onSuggestion);
+  window.commands.add(
+    "snapshot",
+    snapshot_default.onCommand,
+    snapshot_default.onSuggestion
+  );
+  window.commands.add("restore", restore_default.onCommand, restore_default.onSuggestion);
+  window.commands.add("diff", diff_default.onCommand, diff_default.onSuggestion);
+  window.commands.add("help", help_default.onCommand, help_default.onSuggestion);
   Graphics.printFullError = function(name, message, stack) {
     window.commands.setConsole(true);
     window.commands.log(`${name} ${message}